@@ -9,14 +9,18 @@ const totalJobsCount = document.getElementById('total-jobs-count');
 const activeJobsContainer = document.getElementById('active-jobs');
 const jobHistoryContainer = document.getElementById('job-history');
 const channelsList = document.getElementById('channels-list');
+const alertsList = document.getElementById('alerts-list');
 const newJobForm = document.getElementById('new-job-form');
 const hoursInput = document.getElementById('hours-input');
 const daysInput = document.getElementById('days-input');
 const testModeCheckbox = document.getElementById('test-mode');
+const sinceLastRunCheckbox = document.getElementById('since-last-run');
 
 // State
 let jobs = [];
+let olderJobsCount = 0; // Jobs in the history that weren't sent to this page
 let channels = [];
+let alerts = [];
 
 // Initialize WebSocket connection
 function connectWebSocket() {
@@ -60,12 +64,14 @@ function handleWebSocketMessage(data) {
   switch (data.type) {
     case 'initial_state':
       jobs = data.jobs;
+      olderJobsCount = (data.totalJobs || jobs.length) - jobs.length;
       renderJobs();
       break;
 
     case 'job_created':
     case 'job_started':
     case 'job_completed':
+    case 'job_updated':
       updateOrAddJob(data.job);
       break;
 
@@ -78,6 +84,11 @@ function handleWebSocketMessage(data) {
     case 'job_deleted':
       removeJob(data.jobId);
       break;
+
+    case 'alert':
+      alerts.unshift(data.alert);
+      renderAlerts();
+      break;
   }
 
   updateCounts();
@@ -107,8 +118,12 @@ function updateChannelStatus(data) {
     if (data.postsCount) {
       channel.postsCount = data.postsCount;
     }
+    if (data.fetchedCount !== undefined) {
+      channel.fetchedCount = data.fetchedCount;
+      channel.ingestedCount = data.ingestedCount;
+    }
   } else if (data.type === 'channel_completed') {
-    channel.status = 'completed';
+    channel.status = data.status || 'completed';
     channel.stats = data.stats;
   } else if (data.type === 'channel_error') {
     channel.status = 'failed';
@@ -128,13 +143,13 @@ function removeJob(jobId) {
 function updateCounts() {
   const activeJobs = jobs.filter(j => j.status === 'running' || j.status === 'pending');
   activeJobsCount.textContent = activeJobs.length;
-  totalJobsCount.textContent = jobs.length;
+  totalJobsCount.textContent = jobs.length + olderJobsCount;
 }
 
 // Render all jobs
 function renderJobs() {
   const activeJobs = jobs.filter(j => j.status === 'running' || j.status === 'pending');
-  const completedJobs = jobs.filter(j => j.status === 'completed');
+  const completedJobs = jobs.filter(j => j.status !== 'running' && j.status !== 'pending');
 
   // Render active jobs
   if (activeJobs.length === 0) {
@@ -154,12 +169,14 @@ function renderJobs() {
 // Render a single job
 function renderJob(job) {
   const statusClass = job.status === 'running' ? 'running' : job.status === 'completed' ? 'completed' : 'failed';
-  const timeWindow = job.params.hours ? `${job.params.hours} hours` : `${job.params.days} days`;
+  const windowLength = job.params.hours ? `${job.params.hours} hours` : `${job.params.days} days`;
+  const timeWindow = job.params.sinceLastRun ? 'Since last run' : job.params.refresh ? `Refresh ${windowLength}` : windowLength;
   const testModeLabel = job.params.testMode ? ' <span class="badge badge-warning">TEST</span>' : '';
 
   const completedChannels = job.channels.filter(ch => ch.status === 'completed').length;
   const totalChannels = job.channels.length;
   const progress = (completedChannels / totalChannels) * 100;
+  const retryable = job.channels.some(ch => ch.status === 'failed' || ch.status === 'cancelled');
 
   return `
     <div class="job-item ${statusClass}">
@@ -169,7 +186,8 @@ function renderJob(job) {
         </div>
         <div>
           <span class="badge badge-${getStatusBadgeClass(job.status)}">${job.status.toUpperCase()}</span>
-          ${job.status === 'completed' ? `<button class="btn btn-danger" onclick="deleteJob(${job.id})">Delete</button>` : ''}
+          ${job.status !== 'running' && job.status !== 'pending' && retryable ? `<button class="btn btn-primary" onclick="retryJob(${job.id})">Retry Failed</button>` : ''}
+          ${job.status !== 'running' && job.status !== 'pending' ? `<button class="btn btn-danger" onclick="deleteJob(${job.id})">Delete</button>` : `<button class="btn btn-danger" onclick="cancelJob(${job.id})">Cancel</button>`}
         </div>
       </div>
 
@@ -178,9 +196,11 @@ function renderJob(job) {
         <span>📡 ${totalChannels} channels</span>
         <span>🕒 Started: ${formatTime(job.startedAt || job.createdAt)}</span>
         ${job.completedAt ? `<span>✅ Completed: ${formatTime(job.completedAt)}</span>` : ''}
+        ${job.retryOf ? `<span>↩️ Retry of Job #${job.retryOf}</span>` : ''}
+        ${job.retriedBy?.length > 0 ? `<span>🔁 Retried by ${job.retriedBy.map(id => `Job #${id}`).join(', ')}</span>` : ''}
       </div>
 
-      ${job.status === 'completed' ? `
+      ${job.status === 'completed' || job.status === 'cancelled' ? `
         <div class="job-stats">
           <div class="stat-item">
             <span class="stat-label">Posts:</span>
@@ -194,15 +214,35 @@ function renderJob(job) {
             <span class="stat-label">Ingested:</span>
             <span>${job.totalStats.successful}</span>
           </div>
+          ${job.totalStats.skipped > 0 ? `
+            <div class="stat-item">
+              <span class="stat-label">Unchanged:</span>
+              <span>${job.totalStats.skipped}</span>
+            </div>
+          ` : ''}
           ${job.totalStats.failed > 0 ? `
             <div class="stat-item">
               <span class="stat-label">Failed:</span>
               <span>${job.totalStats.failed}</span>
             </div>
           ` : ''}
+          ${hasCounts(job.totalStats.sentiment) ? `
+            <div class="stat-item">
+              <span class="stat-label">Sentiment:</span>
+              <span>${formatSentiment(job.totalStats.sentiment)}</span>
+            </div>
+          ` : ''}
+          ${hasCounts(job.totalStats.topics) ? `
+            <div class="stat-item">
+              <span class="stat-label">Topics:</span>
+              <span>${formatTopics(job.totalStats.topics)}</span>
+            </div>
+          ` : ''}
         </div>
       ` : ''}
 
+      ${job.status === 'completed' || job.status === 'cancelled' ? renderMentionMatrix(job) : ''}
+
       ${job.status === 'running' ? `
         <div class="progress-bar">
           <div class="progress-fill" style="width: ${progress}%"></div>
@@ -210,31 +250,75 @@ function renderJob(job) {
       ` : ''}
 
       <div class="channels-list">
-        ${job.channels.map(ch => renderChannel(ch)).join('')}
+        ${job.channels.map(ch => renderChannel(ch, job)).join('')}
       </div>
     </div>
   `;
 }
 
+// Render how often each channel's items mentioned each platform
+function renderMentionMatrix(job) {
+  const rows = job.channels.filter(ch => hasCounts(ch.stats?.mentions));
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const platforms = [...new Set(rows.flatMap(ch => Object.keys(ch.stats.mentions)))].sort();
+
+  return `
+    <table class="mention-matrix">
+      <thead>
+        <tr>
+          <th>Mentions</th>
+          ${platforms.map(platform => `<th>${platform}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(ch => `
+          <tr>
+            <td>${ch.subreddit}</td>
+            ${platforms.map(platform => `<td>${ch.stats.mentions[platform] || 0}</td>`).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
 // Render a single channel
-function renderChannel(channel) {
+function renderChannel(channel, job) {
   let statusContent = '';
+  const running = !['completed', 'failed', 'cancelled', 'cancelling'].includes(channel.status);
 
   if (channel.status === 'pending') {
     statusContent = '<span class="badge badge-secondary">Pending</span>';
+  } else if ((channel.status === 'fetching' || channel.status === 'ingesting') && channel.fetchedCount !== undefined) {
+    statusContent = `<span class="spinner"></span><span class="badge badge-info">${channel.status} · ${channel.fetchedCount} fetched / ${channel.ingestedCount} ingested</span>`;
   } else if (channel.status === 'started' || channel.status === 'fetching') {
     statusContent = `<span class="spinner"></span><span class="badge badge-info">${channel.status}</span>`;
   } else if (channel.status === 'ingesting') {
     statusContent = `<span class="spinner"></span><span class="badge badge-info">Ingesting ${channel.postsCount || ''} posts</span>`;
   } else if (channel.status === 'completed' && channel.stats) {
     statusContent = `<span class="badge badge-success">✓ ${channel.stats.posts}p / ${channel.stats.comments}c</span>`;
+    if (hasCounts(channel.stats.sentiment)) {
+      statusContent += ` <span class="badge badge-secondary" title="${formatTopics(channel.stats.topics || {})}">${formatSentiment(channel.stats.sentiment)}</span>`;
+    }
   } else if (channel.status === 'failed') {
     statusContent = `<span class="badge badge-danger">✗ Failed</span>`;
+  } else if (channel.status === 'cancelling') {
+    statusContent = `<span class="spinner"></span><span class="badge badge-warning">Cancelling</span>`;
+  } else if (channel.status === 'cancelled') {
+    const counts = channel.stats ? ` · ${channel.stats.posts}p / ${channel.stats.comments}c` : channel.ingestedCount !== undefined ? ` · ${channel.ingestedCount} posts ingested` : '';
+    statusContent = `<span class="badge badge-warning">Cancelled${counts}</span>`;
+  }
+
+  if (running && (job.status === 'running' || job.status === 'pending')) {
+    statusContent += ` <button class="btn btn-small btn-danger" onclick="cancelChannel(${job.id}, '${channel.subreddit}')">Cancel</button>`;
   }
 
   return `
     <div class="channel-item">
-      <div class="channel-name">${channel.subreddit}</div>
+      <div class="channel-name">${channel.subreddit}${formatOverrides(channel.overrides)}</div>
       <div class="channel-status">${statusContent}</div>
     </div>
   `;
@@ -249,11 +333,55 @@ function getStatusBadgeClass(status) {
       return 'info';
     case 'completed':
       return 'success';
+    case 'cancelled':
+    case 'interrupted':
+      return 'warning';
     default:
       return 'danger';
   }
 }
 
+// Describe a channel's overrides of the job parameters
+function formatOverrides(overrides) {
+  if (!overrides) return '';
+
+  const parts = [];
+  if (overrides.hours || overrides.days) {
+    parts.push(overrides.hours ? `${overrides.hours} hours` : `${overrides.days} days`);
+  }
+  if (overrides.testMode !== null) {
+    parts.push(overrides.testMode ? 'test' : 'no test');
+  }
+  if (overrides.comments?.depth) {
+    parts.push(`comment depth ${overrides.comments.depth}`);
+  }
+  if (overrides.comments?.limit) {
+    parts.push(`${overrides.comments.limit} comments`);
+  }
+
+  return parts.length > 0 ? ` <span class="badge badge-secondary">${parts.join(' · ')}</span>` : '';
+}
+
+// Check whether a counts object (sentiment labels, topics) has any entries
+function hasCounts(counts) {
+  return counts && Object.keys(counts).length > 0;
+}
+
+// Format sentiment label counts as "+positive / neutral / -negative"
+function formatSentiment(sentiment) {
+  const { positive = 0, neutral = 0, negative = 0 } = sentiment;
+  return `+${positive} / ${neutral} / -${negative}`;
+}
+
+// Format the most frequent topics as "topic (count)"
+function formatTopics(topics, limit = 5) {
+  return Object.entries(topics)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([topic, count]) => `${topic} (${count})`)
+    .join(', ');
+}
+
 // Format timestamp
 function formatTime(timestamp) {
   if (!timestamp) return 'N/A';
@@ -261,6 +389,66 @@ function formatTime(timestamp) {
   return date.toLocaleString();
 }
 
+// Cancel a running job
+async function cancelJob(jobId) {
+  if (!confirm(`Cancel Job #${jobId}? Channels stop after their current post.`)) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/jobs/${jobId}/cancel`, {
+      method: 'POST'
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to cancel job');
+    }
+  } catch (error) {
+    console.error('Failed to cancel job:', error);
+    alert(`Failed to cancel job: ${error.message}`);
+  }
+}
+
+// Retry the failed and cancelled channels of a finished job
+async function retryJob(jobId) {
+  try {
+    const response = await fetch(`/api/jobs/${jobId}/retry`, {
+      method: 'POST'
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to retry job');
+    }
+
+    if (data.missing.length > 0) {
+      alert(`Not retrying ${data.missing.join(', ')}: no longer configured`);
+    }
+  } catch (error) {
+    console.error('Failed to retry job:', error);
+    alert(`Failed to retry job: ${error.message}`);
+  }
+}
+
+// Cancel one channel of a running job
+async function cancelChannel(jobId, subreddit) {
+  try {
+    const response = await fetch(`/api/jobs/${jobId}/channels/${encodeURIComponent(subreddit)}/cancel`, {
+      method: 'POST'
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to cancel channel');
+    }
+  } catch (error) {
+    console.error('Failed to cancel channel:', error);
+    alert(`Failed to cancel channel: ${error.message}`);
+  }
+}
+
 // Delete a job
 async function deleteJob(jobId) {
   if (!confirm(`Are you sure you want to delete Job #${jobId}?`)) {
@@ -292,6 +480,7 @@ newJobForm.addEventListener('submit', async (e) => {
   const hours = timeUnit === 'hours' ? parseInt(hoursInput.value) : null;
   const days = timeUnit === 'days' ? parseInt(daysInput.value) : null;
   const testMode = testModeCheckbox.checked;
+  const sinceLastRun = sinceLastRunCheckbox.checked;
 
   try {
     const response = await fetch('/api/jobs', {
@@ -299,7 +488,7 @@ newJobForm.addEventListener('submit', async (e) => {
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ hours, days, testMode })
+      body: JSON.stringify({ hours, days, testMode, sinceLastRun })
     });
 
     const data = await response.json();
@@ -353,9 +542,9 @@ function renderChannels() {
 
   channelsList.innerHTML = channels.map(ch => `
     <div class="channel-list-item">
-      <div class="channel-icon">📡</div>
+      <div class="channel-icon">${ch.type === 'search' ? '🔍' : '📡'}</div>
       <div class="channel-info">
-        <div class="channel-info-name">${ch.subreddit}</div>
+        <div class="channel-info-name" ${ch.query ? `title="Search: ${ch.query}"` : ''}>${ch.subreddit}</div>
         <div class="channel-info-footer">
           <span class="badge badge-${ch.enabled ? 'success' : 'secondary'}">${ch.enabled ? 'Enabled' : 'Disabled'}</span>
           <div class="channel-actions">
@@ -472,7 +661,55 @@ document.getElementById('channel-modal').addEventListener('click', (e) => {
   }
 });
 
+// Load recent watchlist alerts
+async function loadAlerts() {
+  try {
+    const response = await fetch('/api/alerts?limit=20');
+    const data = await response.json();
+    alerts = data.alerts || [];
+    renderAlerts();
+  } catch (error) {
+    console.error('Failed to load alerts:', error);
+    alertsList.innerHTML = '<p class="empty-state">Failed to load alerts</p>';
+  }
+}
+
+// Escape text from Reddit before putting it into HTML
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Render the alerts list, newest first
+function renderAlerts() {
+  if (alerts.length === 0) {
+    alertsList.innerHTML = '<p class="empty-state">No alerts</p>';
+    return;
+  }
+
+  alertsList.innerHTML = alerts.slice(0, 20).map(alert => `
+    <div class="alert-item">
+      <div class="alert-header">
+        <span class="badge badge-warning">${escapeHtml(alert.rule)}</span>
+        <a href="${escapeHtml(alert.url)}" target="_blank" rel="noopener">${escapeHtml(alert.title)}</a>
+        ${alert.delivery === 'failed' ? `<span class="badge badge-danger" title="${escapeHtml(alert.deliveryError)}">Not delivered</span>` : ''}
+      </div>
+      <div class="alert-excerpt">${escapeHtml(alert.excerpt)}</div>
+      <div class="job-meta">
+        <span>📡 ${escapeHtml(alert.channel)}</span>
+        <span>👤 u/${escapeHtml(alert.author)}${alert.isComment ? ' (comment)' : ''}</span>
+        <span>🔎 ${escapeHtml(alert.matched.join(', '))}</span>
+        <span>🕒 ${formatTime(alert.alertedAt)}</span>
+      </div>
+    </div>
+  `).join('');
+}
+
 // Initialize
 connectWebSocket();
 loadChannels();
+loadAlerts();
 updateCounts();
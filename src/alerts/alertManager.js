@@ -0,0 +1,106 @@
+import axios from 'axios';
+import { AlertStore } from '../storage/alertStore.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('AlertManager');
+
+/**
+ * Build a Slack-compatible message for an alert
+ */
+function formatSlackMessage(alert) {
+  const where = alert.isComment ? `comment by u/${alert.author} on` : `post by u/${alert.author}:`;
+  const quoted = alert.excerpt.split('\n').map(line => `> ${line}`).join('\n');
+
+  return {
+    text: `:rotating_light: *${alert.rule}* matched a ${where} <${alert.url}|${alert.title}> in ${alert.channel}\n${quoted}\nMatched: ${alert.matched.join(', ')}`
+  };
+}
+
+/**
+ * Handles alerts reported by channel workers in the main process: suppresses
+ * repeats for the same rule and post, records them in the alert log, and
+ * delivers them to the channel's webhook (or ALERT_WEBHOOK_URL)
+ */
+export class AlertManager {
+  /**
+   * @param {Object} options - { store, onAlert } where onAlert is called with each new alert
+   */
+  constructor(options = {}) {
+    this.store = options.store || new AlertStore();
+    this.onAlert = options.onAlert || null;
+    this.timeout = 10000;
+    this.pending = new Set();
+    this.counts = { sent: 0, failed: 0, suppressed: 0 };
+  }
+
+  /**
+   * Handle an alert message from a worker. Delivery runs in the background; use flush() to wait for it.
+   * @param {string} channel - Channel the alert came from
+   * @param {Object} alert - Alert from Watchlist.check
+   * @param {string} webhookUrl - The channel's webhook, if it has its own
+   * @returns {Object|null} The recorded alert, or null if it was suppressed
+   */
+  handle(channel, alert, webhookUrl = null) {
+    const entry = { ...alert, channel, alertedAt: new Date().toISOString(), delivery: 'pending' };
+
+    if (this.store.has(entry)) {
+      logger.debug(`Suppressing repeat alert "${alert.rule}" for post ${alert.postId}`);
+      this.counts.suppressed++;
+      return null;
+    }
+
+    logger.info(`Alert "${alert.rule}" in ${channel}: ${alert.url}`);
+
+    // Recorded before delivery, so a repeat arriving meanwhile is suppressed
+    this.store.record(entry);
+    try {
+      this.store.save();
+    } catch (error) {
+      logger.error(`Failed to save alert "${alert.rule}" for post ${alert.postId}: ${error.message}`);
+    }
+
+    const delivery = this.deliver(entry, webhookUrl || process.env.ALERT_WEBHOOK_URL)
+      .then(() => {
+        this.store.save();
+        if (this.onAlert) {
+          this.onAlert(entry);
+        }
+      })
+      .catch(error => {
+        logger.error(`Failed to record delivery of alert "${entry.rule}" for post ${entry.postId}: ${error.message}`);
+      })
+      .finally(() => this.pending.delete(delivery));
+    this.pending.add(delivery);
+
+    return entry;
+  }
+
+  /**
+   * Send an alert to the webhook, setting its delivery status ('sent', 'failed' or 'not_configured')
+   */
+  async deliver(entry, url) {
+    if (!url) {
+      entry.delivery = 'not_configured';
+      return;
+    }
+
+    try {
+      await axios.post(url, formatSlackMessage(entry), { timeout: this.timeout });
+      entry.delivery = 'sent';
+      this.counts.sent++;
+    } catch (error) {
+      const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+      logger.warn(`Failed to deliver alert "${entry.rule}" for post ${entry.postId}: ${reason}`);
+      entry.delivery = 'failed';
+      entry.deliveryError = reason;
+      this.counts.failed++;
+    }
+  }
+
+  /**
+   * Wait for deliveries in progress
+   */
+  async flush() {
+    await Promise.allSettled([...this.pending]);
+  }
+}
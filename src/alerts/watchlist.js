@@ -0,0 +1,171 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Watchlist');
+
+// Characters of matching text included in an alert
+const EXCERPT_LENGTH = 280;
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a watch rule. Every condition a rule sets must hold for it to match:
+ * { name, keywords, pattern, flags, author, minScore, withinHours, comments }
+ * @returns {Object} Compiled rule, or null if the rule is invalid
+ */
+function compileRule(rule, index) {
+  const name = rule.name || `rule-${index + 1}`;
+  const compiled = {
+    name,
+    keywords: null,
+    pattern: null,
+    authors: null,
+    minScore: rule.minScore ?? null,
+    withinHours: rule.withinHours ?? null,
+    comments: rule.comments ?? true
+  };
+
+  if (rule.keywords?.length > 0) {
+    compiled.keywords = new RegExp(`\\b(?:${rule.keywords.map(escapeRegExp).join('|')})\\b`, 'i');
+  }
+
+  if (rule.pattern) {
+    try {
+      compiled.pattern = new RegExp(rule.pattern, (rule.flags || '').replace('g', ''));
+    } catch (error) {
+      logger.warn(`Invalid pattern in watch rule "${name}": ${error.message}, skipping`);
+      return null;
+    }
+  }
+
+  if (rule.author) {
+    compiled.authors = [].concat(rule.author).map(author => author.toLowerCase());
+  }
+
+  if (!compiled.keywords && !compiled.pattern && !compiled.authors && compiled.minScore === null) {
+    logger.warn(`Watch rule "${name}" has no conditions, skipping`);
+    return null;
+  }
+
+  return compiled;
+}
+
+/**
+ * Checks posts and comments against a channel's watch rules as they pass
+ * through the worker, producing one alert per rule per post (the post itself,
+ * or its first matching comment)
+ */
+export class Watchlist {
+  /**
+   * @param {Object} config - { rules } from the channel's watchlist config
+   * @param {Object} options - { redactor } to check posts after the channel's redaction,
+   *   so alert excerpts don't carry what ingestion would have redacted
+   */
+  constructor(config = {}, options = {}) {
+    this.rules = (config.rules || [])
+      .map(compileRule)
+      .filter(Boolean);
+    this.redactor = options.redactor || null;
+  }
+
+  /**
+   * Check whether a post or comment matches a rule
+   * @returns {Array} Descriptions of the conditions that matched, or null if the rule doesn't match
+   */
+  matchRule(rule, { text, author, score, created_utc }, now) {
+    const matched = [];
+
+    if (rule.keywords) {
+      const keyword = text.match(rule.keywords);
+      if (!keyword) return null;
+      matched.push(`keyword "${keyword[0]}"`);
+    }
+
+    if (rule.pattern) {
+      const match = text.match(rule.pattern);
+      if (!match) return null;
+      matched.push(`pattern "${match[0]}"`);
+    }
+
+    if (rule.authors) {
+      if (!rule.authors.includes((author || '').toLowerCase())) return null;
+      matched.push(`author u/${author}`);
+    }
+
+    if (rule.minScore !== null) {
+      const ageHours = (now - created_utc) / 3600;
+      if (score < rule.minScore) return null;
+      if (rule.withinHours !== null && ageHours > rule.withinHours) return null;
+      matched.push(`score ${score} after ${Math.max(0, Math.round(ageHours))}h`);
+    }
+
+    return matched;
+  }
+
+  /**
+   * Check a post and its comments against every rule
+   * @param {Object} redditPost - Post from RedditFetcher
+   * @returns {Array} Alerts: [{ rule, postId, itemId, isComment, author, score, title, excerpt, url, matched, createdAt }]
+   */
+  check(redditPost) {
+    const { post, comments } = this.redactor ? this.redactor.redactPost(redditPost) : redditPost;
+    const now = Math.floor(Date.now() / 1000);
+    const alerts = [];
+
+    const candidates = [{
+      id: post.id,
+      isComment: false,
+      text: `${post.title}\n${post.content || ''}`,
+      author: post.author,
+      score: post.score,
+      created_utc: post.created_utc,
+      url: post.url
+    }];
+
+    const collect = list => (list || []).forEach(comment => {
+      candidates.push({
+        id: comment.id,
+        isComment: true,
+        text: comment.body || '',
+        author: comment.author,
+        score: comment.score,
+        created_utc: comment.created_utc,
+        url: `https://reddit.com${comment.permalink}`
+      });
+      collect(comment.replies);
+    });
+    collect(comments);
+
+    for (const rule of this.rules) {
+      for (const candidate of candidates) {
+        if (candidate.isComment && !rule.comments) continue;
+
+        const matched = this.matchRule(rule, candidate, now);
+        if (!matched) continue;
+
+        alerts.push({
+          rule: rule.name,
+          postId: post.id,
+          itemId: candidate.id,
+          isComment: candidate.isComment,
+          author: candidate.author,
+          score: candidate.score,
+          title: post.title,
+          excerpt: candidate.text.length > EXCERPT_LENGTH
+            ? `${candidate.text.substring(0, EXCERPT_LENGTH)}…`
+            : candidate.text,
+          url: candidate.url,
+          matched,
+          createdAt: new Date(candidate.created_utc * 1000).toISOString()
+        });
+        break; // One alert per rule per post
+      }
+    }
+
+    return alerts;
+  }
+}
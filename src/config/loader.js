@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseSinkConfigs } from '../sinks/index.js';
+import { CronExpression } from '../scheduler/cron.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -32,12 +34,180 @@ export function loadChannelsConfig(configPath = null) {
   }
 }
 
+const LISTING_SORTS = ['new', 'top', 'hot', 'rising', 'controversial'];
+
+// Posts taken from a listing that ignores the time window when it sets no limit of its own
+const DEFAULT_UNWINDOWED_LIMIT = 100;
+
 /**
- * Get only enabled channels from the configuration
+ * Parse a channel's listing sources
+ * Accepts strings like "new" or "top?t=week&limit=50", or objects like { "sort": "top", "t": "week", "limit": 50 }
+ * @param {Array} listings - Listing sources from channels.json
+ * @param {string} subreddit - Channel name, for warnings
+ * @returns {Array} Array of { sort, time, limit, label } objects
+ */
+function parseListingSources(listings, subreddit) {
+  const sources = [];
+
+  for (const listing of listings) {
+    let sort, time, limit, window;
+
+    if (typeof listing === 'string') {
+      const [path, query = ''] = listing.split('?');
+      const params = new URLSearchParams(query);
+      sort = path;
+      time = params.get('t');
+      limit = params.has('limit') ? parseInt(params.get('limit')) : null;
+      window = params.has('window') ? params.get('window') !== 'false' : null;
+    } else {
+      sort = listing.sort;
+      time = listing.t || listing.time || null;
+      limit = listing.limit || null;
+      window = listing.window ?? null;
+    }
+
+    if (!LISTING_SORTS.includes(sort)) {
+      console.warn(`Warning: unknown listing "${sort}" for ${subreddit}, skipping`);
+      continue;
+    }
+
+    // Only /new is ordered by age, so only it is held to the run's time window by default;
+    // other listings are bounded by their limit and time filter instead
+    if (sort === 'new' && window === false) {
+      console.warn(`Warning: listing "new" for ${subreddit} always uses the time window`);
+    }
+    window = sort === 'new' || window === true;
+
+    sources.push({
+      sort,
+      time,
+      limit: limit || (window ? null : DEFAULT_UNWINDOWED_LIMIT),
+      window,
+      label: time ? `${sort}?t=${time}` : sort
+    });
+  }
+
+  return sources;
+}
+
+/**
+ * Parse a schedule: a cron expression, or { cron, hours, days, sinceLastRun, refresh }.
+ * Runs fetch since the last run unless a window or refresh is given.
+ * @param {string|Object} schedule - Schedule from channels.json or the daemon options
+ * @returns {Object} { cron, hours, days, sinceLastRun, refresh }; throws if invalid
+ */
+export function parseSchedule(schedule) {
+  const { cron, hours = null, days = null, sinceLastRun, refresh = false } = typeof schedule === 'string' ? { cron: schedule } : schedule;
+
+  if (!cron) {
+    throw new Error('missing cron expression');
+  }
+  new CronExpression(cron).next(); // Throws if invalid or if it never matches
+
+  if (hours && days) {
+    throw new Error('cannot specify both hours and days');
+  }
+  if (refresh && (sinceLastRun || (!hours && !days))) {
+    throw new Error('refresh requires hours or days, and cannot be combined with sinceLastRun');
+  }
+
+  return {
+    cron,
+    hours,
+    days,
+    sinceLastRun: sinceLastRun ?? (!hours && !days && !refresh),
+    refresh
+  };
+}
+
+/**
+ * Get every configured platform with its aliases, from all channels whether enabled or not.
+ * Channels sharing a platform name (case-insensitive) have their aliases merged.
  * @param {Object} config - Full configuration object
- * @returns {Array} Array of enabled channel objects with subreddit name
+ * @returns {Array} Array of { name, aliases } objects
  */
-export function getEnabledChannels(config) {
+export function getPlatforms(config) {
+  const platforms = new Map();
+
+  for (const [subreddit, channelConfig] of Object.entries(config)) {
+    const name = channelConfig.platform || subreddit;
+    const key = name.toLowerCase();
+    const platform = platforms.get(key) || { name, aliases: [] };
+
+    for (const alias of channelConfig.aliases || []) {
+      if (!platform.aliases.includes(alias)) {
+        platform.aliases.push(alias);
+      }
+    }
+
+    platforms.set(key, platform);
+  }
+
+  return [...platforms.values()];
+}
+
+/**
+ * Build a channel object from its configuration
+ * @returns {Object} Channel object; throws if the channel can't be run
+ */
+function buildChannel(subreddit, channelConfig, platforms, clientId, clientSecret) {
+  let sinks;
+  try {
+    sinks = parseSinkConfigs(channelConfig.sinks);
+  } catch (error) {
+    throw new Error(`invalid sinks for ${subreddit} (${error.message})`);
+  }
+
+  const channel = {
+    subreddit,
+    enabled: channelConfig.enabled === true,
+    platform: channelConfig.platform || subreddit,
+    moreComments: channelConfig.moreComments || null,
+    threadContext: channelConfig.threadContext || null,
+    threadDocument: channelConfig.threadDocument || null,
+    redaction: channelConfig.redaction || null,
+    filters: channelConfig.filters || null,
+    normalize: channelConfig.normalize || null,
+    tagging: channelConfig.tagging || null,
+    mentions: channelConfig.mentions?.enabled ? { ...channelConfig.mentions, platforms } : null,
+    watchlist: channelConfig.watchlist || null,
+    schedule: null,
+    listings: channelConfig.listings ? parseListingSources(channelConfig.listings, subreddit) : null,
+    overrides: null,
+    sinks,
+    clientId,
+    clientSecret
+  };
+
+  if (channelConfig.schedule) {
+    try {
+      channel.schedule = parseSchedule(channelConfig.schedule);
+    } catch (error) {
+      console.warn(`Warning: invalid schedule for ${subreddit} (${error.message}), using the global schedule, if any`);
+    }
+  }
+
+  // Search channels track a query instead of a subreddit's /new listing
+  if (channelConfig.type === 'search') {
+    if (!channelConfig.query) {
+      throw new Error(`search channel ${subreddit} has no query`);
+    }
+
+    channel.search = {
+      query: channelConfig.query,
+      subreddit: channelConfig.subreddit || null,
+      sort: channelConfig.sort || 'new',
+      time: channelConfig.time || 'all'
+    };
+  }
+
+  return channel;
+}
+
+/**
+ * Build the named channels, skipping ones that can't be run (or throwing, if strict)
+ */
+function collectChannels(config, subreddits, strict = false) {
   const channels = [];
 
   // Get shared credentials from environment variables
@@ -49,20 +219,140 @@ export function getEnabledChannels(config) {
     return channels;
   }
 
-  for (const [subreddit, channelConfig] of Object.entries(config)) {
-    if (channelConfig.enabled === true) {
-      channels.push({
-        subreddit,
-        platform: channelConfig.platform || subreddit,
-        clientId,
-        clientSecret
-      });
+  // Every channel detecting mentions looks for all configured platforms
+  const platforms = getPlatforms(config);
+
+  for (const subreddit of subreddits) {
+    try {
+      channels.push(buildChannel(subreddit, config[subreddit], platforms, clientId, clientSecret));
+    } catch (error) {
+      if (strict) throw error;
+      console.warn(`Warning: ${error.message}, skipping`);
     }
   }
 
   return channels;
 }
 
+/**
+ * Get only enabled channels from the configuration
+ * @param {Object} config - Full configuration object
+ * @returns {Array} Array of enabled channel objects with subreddit name
+ */
+export function getEnabledChannels(config) {
+  return collectChannels(config, Object.keys(config).filter(subreddit => config[subreddit].enabled === true));
+}
+
+/**
+ * Get every channel from the configuration, whether enabled or not
+ * @param {Object} config - Full configuration object
+ * @returns {Array} Array of channel objects with subreddit name
+ */
+export function getAllChannels(config) {
+  return collectChannels(config, Object.keys(config));
+}
+
+/**
+ * Get the named channels for a one-off run, including disabled ones
+ * @param {Object} config - Full configuration object
+ * @param {Array} subreddits - Channel names, e.g. ['r/lovable', 'r/v0']
+ * @returns {Array} Channel objects in the order given; throws if a channel is unknown or can't be run
+ */
+export function selectChannels(config, subreddits) {
+  const unknown = subreddits.filter(subreddit => !config[subreddit]);
+  if (unknown.length > 0) {
+    throw new Error(`unknown channels: ${unknown.join(', ')}`);
+  }
+
+  return collectChannels(config, [...new Set(subreddits)], true);
+}
+
+/**
+ * Parse per-channel overrides of a run's parameters:
+ * { "r/v0": { hours, days, testMode, comments: { depth, limit } } }
+ * Window overrides are rejected where they would have no effect: sinceLastRun runs fetch
+ * from each channel's checkpoint, and backfills have their own range.
+ * @param {Object} overrides - Overrides by channel name
+ * @param {Array} subreddits - Channels in the run; overrides for other channels are rejected
+ * @param {Object} run - { sinceLastRun, backfill } flags of the run the overrides are for
+ * @returns {Object} subreddit -> { hours, days, testMode, comments }; throws if invalid
+ */
+export function parseChannelOverrides(overrides, subreddits, { sinceLastRun = false, backfill = false } = {}) {
+  if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+    throw new Error('overrides must be an object keyed by channel');
+  }
+
+  const parsed = {};
+
+  for (const [subreddit, override] of Object.entries(overrides)) {
+    if (!subreddits.includes(subreddit)) {
+      throw new Error(`${subreddit} is not one of the channels to run`);
+    }
+
+    const { hours = null, days = null, testMode = null, comments = null } = override || {};
+
+    if (hours && days) {
+      throw new Error(`${subreddit}: cannot specify both hours and days`);
+    }
+    if ((hours || days) && sinceLastRun) {
+      throw new Error(`${subreddit}: hours and days cannot be overridden when fetching since the last run`);
+    }
+    if ((hours || days) && backfill) {
+      throw new Error(`${subreddit}: hours and days cannot be overridden for a backfill, which uses its own range`);
+    }
+    for (const [name, value] of Object.entries({ hours, days })) {
+      if (value !== null && !(value > 0)) {
+        throw new Error(`${subreddit}: ${name} must be a positive number`);
+      }
+    }
+    if (testMode !== null && typeof testMode !== 'boolean') {
+      throw new Error(`${subreddit}: testMode must be true or false`);
+    }
+    for (const name of ['depth', 'limit']) {
+      const value = comments?.[name];
+      if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        throw new Error(`${subreddit}: comments.${name} must be a positive integer`);
+      }
+    }
+
+    parsed[subreddit] = {
+      hours,
+      days,
+      testMode,
+      comments: comments ? { depth: comments.depth, limit: comments.limit } : null
+    };
+  }
+
+  return parsed;
+}
+
+/**
+ * Apply a channel's overrides to a run's parameters. A window override replaces
+ * both hours and days (and the refresh window); parseChannelOverrides rejects window
+ * overrides for sinceLastRun runs and backfills.
+ * @param {Object} params - Run parameters { hours, days, testMode, sinceLastRun, backfill, refresh }
+ * @param {Object} overrides - The channel's overrides from parseChannelOverrides, or null
+ * @returns {Object} Run parameters for the channel, plus comments ({ depth, limit } or null)
+ */
+export function applyChannelOverrides(params, overrides) {
+  const run = { ...params, comments: overrides?.comments || null };
+  if (!overrides) return run;
+
+  if (overrides.hours || overrides.days) {
+    run.hours = overrides.hours;
+    run.days = overrides.days;
+    if (run.refresh) {
+      run.refresh = { hours: run.hours, days: run.days };
+    }
+  }
+
+  if (overrides.testMode !== null) {
+    run.testMode = overrides.testMode;
+  }
+
+  return run;
+}
+
 /**
  * Validate channel configuration
  * @param {Object} channelConfig - Channel configuration to validate
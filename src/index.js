@@ -6,8 +6,14 @@ import { fileURLToPath } from 'url';
 import path from 'path';
 import dotenv from 'dotenv';
 import pLimit from 'p-limit';
-import { loadChannelsConfig, getEnabledChannels } from './config/loader.js';
+import { loadChannelsConfig, getEnabledChannels, getAllChannels, selectChannels, parseChannelOverrides, applyChannelOverrides, parseSchedule } from './config/loader.js';
 import { createLogger } from './utils/logger.js';
+import { RateLimiter } from './reddit/rateLimiter.js';
+import { findDeadLetters, replayDeadLetters } from './ingestion/replay.js';
+import { parseSinkConfigs, needsIngestorToken } from './sinks/index.js';
+import { AlertManager } from './alerts/alertManager.js';
+import { JobManager } from './web/jobManager.js';
+import { Scheduler } from './scheduler/scheduler.js';
 
 // Load environment variables
 dotenv.config();
@@ -17,12 +23,24 @@ const __dirname = path.dirname(__filename);
 
 const logger = createLogger('Main');
 
+// All channels share one Reddit client ID, so they share one request quota
+const rateLimiter = new RateLimiter({
+  requestsPerMinute: parseInt(process.env.REDDIT_REQUESTS_PER_MINUTE) || 60
+});
+
+// Created when the first watchlist alert arrives
+let alertManager = null;
+
 /**
  * Create and run a worker for a channel
+ * @param {Object} channel - Channel from getEnabledChannels or selectChannels
+ * @param {Object} params - Run parameters { hours, days, testMode, sinceLastRun, backfill, refresh }
  */
-function runChannelWorker(channel, hours, days, testMode) {
+function runChannelWorker(channel, params) {
   return new Promise((resolve, reject) => {
     const workerPath = path.join(__dirname, 'workers', 'channelWorker.js');
+    const rateLimiterPort = rateLimiter.createPort();
+    const run = applyChannelOverrides(params, channel.overrides);
 
     const worker = new Worker(workerPath, {
       workerData: {
@@ -30,10 +48,28 @@ function runChannelWorker(channel, hours, days, testMode) {
         clientSecret: channel.clientSecret,
         subreddit: channel.subreddit,
         platform: channel.platform,
-        hours,
-        days,
-        testMode
-      }
+        moreComments: channel.moreComments,
+        threadContext: channel.threadContext,
+        threadDocument: channel.threadDocument,
+        redaction: channel.redaction,
+        filters: channel.filters,
+        normalize: channel.normalize,
+        tagging: channel.tagging,
+        mentions: channel.mentions,
+        watchlist: channel.watchlist,
+        search: channel.search,
+        listings: channel.listings,
+        comments: run.comments,
+        hours: run.hours,
+        days: run.days,
+        testMode: run.testMode,
+        sinceLastRun: run.sinceLastRun,
+        backfill: run.backfill,
+        refresh: run.refresh,
+        sinks: channel.sinks,
+        rateLimiterPort
+      },
+      transferList: [rateLimiterPort]
     });
 
     const result = {
@@ -42,12 +78,25 @@ function runChannelWorker(channel, hours, days, testMode) {
       stats: null,
       error: null
     };
+    let lastStatus = null;
 
     worker.on('message', (message) => {
       switch (message.type) {
-        case 'progress':
-          logger.info(`[${message.subreddit}] Status: ${message.status}${message.postsCount ? ` (${message.postsCount} posts)` : ''}`);
+        case 'progress': {
+          const counts = message.fetchedCount !== undefined
+            ? ` (${message.fetchedCount} fetched, ${message.ingestedCount} ingested)`
+            : message.postsCount ? ` (${message.postsCount} posts)` : '';
+          const statusLine = `[${message.subreddit}] Status: ${message.status}${message.window ? ` window ${message.window.index}/${message.window.total}` : ''}${counts}`;
+
+          // Streaming workers report every post; only log status changes at info level
+          if (message.status !== lastStatus || message.window) {
+            logger.info(statusLine);
+          } else {
+            logger.debug(statusLine);
+          }
+          lastStatus = message.status;
           break;
+        }
 
         case 'complete':
           result.success = true;
@@ -59,6 +108,11 @@ function runChannelWorker(channel, hours, days, testMode) {
           result.error = message.error;
           logger.error(`[${message.subreddit}] Error: ${message.error}`);
           break;
+
+        case 'alert':
+          alertManager = alertManager || new AlertManager();
+          alertManager.handle(message.subreddit, message.alert, channel.watchlist?.webhookUrl);
+          break;
       }
     });
 
@@ -80,25 +134,223 @@ function runChannelWorker(channel, hours, days, testMode) {
 }
 
 /**
- * Main execution function
+ * Check that the environment is set up for ingestion, exiting if not
+ * @param {Array} channels - Channels to check; the token is only needed if one sends to the ingestor
  */
-async function main() {
-  const program = new Command();
+function requireApiToken(channels = null) {
+  if (channels && !channels.some(channel => needsIngestorToken(channel.sinks))) {
+    return;
+  }
 
-  program
-    .name('reddit-intelligence-daemon')
-    .description('Fetch Reddit posts and ingest them into a vector database')
-    .option('--hours <number>', 'Fetch posts from last N hours', parseInt)
-    .option('--days <number>', 'Fetch posts from last N days', parseInt)
-    .option('--test', 'Test mode (fetch max 5 posts per channel)')
-    .option('--config <path>', 'Path to channels.json configuration file')
-    .parse(process.argv);
+  if (!process.env.VECTORDB_API_TOKEN) {
+    logger.error('Error: VECTORDB_API_TOKEN environment variable is not set');
+    logger.info('Please create a .env file with: VECTORDB_API_TOKEN=your_token_here');
+    process.exit(1);
+  }
+}
 
-  const options = program.opts();
+/**
+ * Load the channels to run, exiting if there are none
+ * @param {Object} options - Command options: config (path to channels.json), sinks (overrides every
+ *   channel's sinks), channels (comma-separated channels to run instead of the enabled ones) and
+ *   overrides (JSON of per-channel overrides)
+ * @param {Object} run - { backfill } when loading channels for a backfill, for validating overrides
+ */
+function loadChannels(options, { backfill = false } = {}) {
+  let sinks = null;
+  if (options.sinks) {
+    try {
+      sinks = parseSinkConfigs(options.sinks);
+    } catch (error) {
+      logger.error(`Error: invalid --sinks: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  logger.info('Loading channel configuration...');
+  const config = loadChannelsConfig(options.config);
+  let channels;
+
+  if (options.channels) {
+    try {
+      channels = selectChannels(config, options.channels.split(',').map(name => name.trim()).filter(Boolean));
+    } catch (error) {
+      logger.error(`Error: invalid --channels: ${error.message}`);
+      process.exit(1);
+    }
+  } else {
+    channels = getEnabledChannels(config);
+  }
+
+  if (options.overrides) {
+    let overrides;
+    try {
+      overrides = parseChannelOverrides(JSON.parse(options.overrides), channels.map(channel => channel.subreddit), {
+        sinceLastRun: Boolean(options.sinceLastRun),
+        backfill
+      });
+    } catch (error) {
+      logger.error(`Error: invalid --overrides: ${error.message}`);
+      process.exit(1);
+    }
+    channels = channels.map(channel => ({ ...channel, overrides: overrides[channel.subreddit] || null }));
+  }
+
+  channels = channels.map(channel => sinks ? { ...channel, sinks } : channel);
+
+  if (channels.length === 0) {
+    logger.warn('No enabled channels found in configuration');
+    process.exit(0);
+  }
+
+  logger.info(`Found ${channels.length} ${options.channels ? 'selected' : 'enabled'} channels: ${channels.map(c => c.subreddit).join(', ')}`);
+  return channels;
+}
+
+/**
+ * Run workers for all channels (3 at a time), print a summary and exit
+ */
+async function runChannels(channels, params) {
+  // Create a limit for parallel workers (process 3 channels at a time)
+  const limit = pLimit(3);
+
+  // Start workers for all channels
+  logger.info('Starting channel workers...');
+  const startTime = Date.now();
+
+  const workerPromises = channels.map(channel =>
+    limit(() => runChannelWorker(channel, params))
+  );
+
+  // Wait for all workers to complete
+  const results = await Promise.allSettled(workerPromises);
+
+  // Calculate execution time
+  const executionTime = ((Date.now() - startTime) / 1000).toFixed(2);
+
+  // Generate summary report
+  logger.info('\n' + '='.repeat(60));
+  logger.info('EXECUTION SUMMARY');
+  logger.info('='.repeat(60));
+
+  let totalPosts = 0;
+  let totalComments = 0;
+  let totalSuccessful = 0;
+  let totalFailed = 0;
+  let totalSkipped = 0;
+  let totalRecovered = 0;
+  let successfulChannels = 0;
+  let failedChannels = 0;
+
+  results.forEach((result, index) => {
+    const channel = channels[index];
+
+    if (result.status === 'fulfilled' && result.value.success) {
+      successfulChannels++;
+      const stats = result.value.stats;
+      totalPosts += stats.posts;
+      totalComments += stats.comments;
+      totalSuccessful += stats.successful;
+      totalFailed += stats.failed;
+      totalSkipped += stats.skipped || 0;
+      totalRecovered += stats.moreCommentsRecovered || 0;
+
+      logger.info(`✓ ${channel.subreddit}: ${stats.posts} posts, ${stats.comments} comments (${stats.successful} successful, ${stats.failed} failed, ${stats.itemsPerSecond || 0} items/s)`);
+
+      if (stats.filtered && Object.keys(stats.filtered).length > 0) {
+        logger.info(`  Filtered out: ${Object.entries(stats.filtered).map(([rule, count]) => `${count} by ${rule}`).join(', ')}`);
+      }
+
+      if (stats.redactions && Object.keys(stats.redactions).length > 0) {
+        logger.info(`  Redacted: ${Object.entries(stats.redactions).map(([name, count]) => `${count} ${name}`).join(', ')}`);
+      }
+
+      if (stats.sentiment && Object.keys(stats.sentiment).length > 0) {
+        const { positive = 0, neutral = 0, negative = 0 } = stats.sentiment;
+        logger.info(`  Sentiment: ${positive} positive, ${neutral} neutral, ${negative} negative`);
+      }
+
+      if (stats.topics && Object.keys(stats.topics).length > 0) {
+        logger.info(`  Topics: ${Object.entries(stats.topics).sort((a, b) => b[1] - a[1]).map(([topic, count]) => `${topic} (${count})`).join(', ')}`);
+      }
+
+      if (stats.mentions && Object.keys(stats.mentions).length > 0) {
+        logger.info(`  Mentions: ${Object.entries(stats.mentions).sort((a, b) => b[1] - a[1]).map(([platform, count]) => `${platform} (${count})`).join(', ')}`);
+      }
+
+      if (stats.skipped || stats.updatedItems) {
+        logger.info(`  Items: ${stats.newItems} new, ${stats.updatedItems} updated, ${stats.skipped} unchanged and skipped`);
+      }
+
+      // Log errors if any
+      if (stats.errors && stats.errors.length > 0) {
+        logger.warn(`  Errors encountered: ${stats.errors.length}`);
+        stats.errors.slice(0, 3).forEach(err => {
+          logger.warn(`    - ${err.id}: ${err.error}`);
+        });
+        if (stats.errors.length > 3) {
+          logger.warn(`    ... and ${stats.errors.length - 3} more`);
+        }
+      }
+
+      if (stats.incompleteListings && stats.incompleteListings.length > 0) {
+        logger.warn(`  Incomplete: ${stats.incompleteListings.join(', ')} hit Reddit's listing ceiling before the cutoff`);
+      }
+
+      if (stats.refresh) {
+        const { checked, unchanged, missing } = stats.refresh;
+        logger.info(`  Refresh: ${checked} posts checked, ${unchanged} items unchanged, ${missing} posts gone or unreachable`);
+      }
 
+      if (stats.backfill) {
+        const { windows, processed, skipped, incomplete } = stats.backfill;
+        logger.info(`  Backfill: ${processed} windows processed, ${skipped} already done, ${windows} total`);
+        incomplete.forEach(window => {
+          logger.warn(`    ! Not yet archived, retried next run: ${new Date(window.start * 1000).toISOString()} - ${new Date(window.end * 1000).toISOString()}`);
+        });
+      }
+    } else {
+      failedChannels++;
+      const error = result.status === 'fulfilled' ? result.value.error : result.reason.message;
+      logger.error(`✗ ${channel.subreddit}: Failed - ${error}`);
+    }
+  });
+
+  logger.info('='.repeat(60));
+  logger.info(`Total: ${totalPosts} posts, ${totalComments} comments`);
+  logger.info(`Ingestion: ${totalSuccessful} successful, ${totalFailed} failed, ${totalSkipped} unchanged and skipped`);
+  if (totalRecovered > 0) {
+    logger.info(`Recovered ${totalRecovered} comments from "load more comments" stubs`);
+  }
+  if (alertManager) {
+    await alertManager.flush();
+    const { sent, failed, suppressed } = alertManager.counts;
+    logger.info(`Alerts: ${sent} sent, ${failed} failed to deliver, ${suppressed} repeats suppressed`);
+  }
+  logger.info(`Channels: ${successfulChannels} successful, ${failedChannels} failed`);
+  logger.info(`Execution time: ${executionTime}s`);
+  logger.info('='.repeat(60));
+
+  // Exit with appropriate code
+  if (failedChannels === channels.length) {
+    logger.error('All channels failed');
+    process.exit(1);
+  } else if (failedChannels > 0) {
+    logger.warn('Some channels failed');
+    process.exit(0);
+  } else {
+    logger.info('All channels completed successfully');
+    process.exit(0);
+  }
+}
+
+/**
+ * Fetch command: ingest posts from a recent time window or since the last run
+ */
+async function fetchCommand(options) {
   // Validate options
-  if (!options.hours && !options.days) {
-    logger.error('Error: Must specify either --hours or --days');
+  if (!options.hours && !options.days && !options.sinceLastRun) {
+    logger.error('Error: Must specify either --hours, --days or --since-last-run');
     process.exit(1);
   }
 
@@ -117,117 +369,400 @@ async function main() {
     process.exit(1);
   }
 
-  // Check for API token
-  if (!process.env.VECTORDB_API_TOKEN) {
-    logger.error('Error: VECTORDB_API_TOKEN environment variable is not set');
-    logger.info('Please create a .env file with: VECTORDB_API_TOKEN=your_token_here');
+  try {
+    // Load configuration
+    const channels = loadChannels(options);
+
+    // Check for API token
+    requireApiToken(channels);
+
+    // Log execution parameters
+    if (options.sinceLastRun) {
+      logger.info('Fetching posts since last run (per-subreddit checkpoints)');
+    } else {
+      const timeWindow = options.hours ? `${options.hours} hours` : `${options.days} days`;
+      logger.info(`Fetching posts from last ${timeWindow}`);
+    }
+    if (options.test) {
+      logger.info('Test mode: limiting to 5 posts per channel');
+    }
+
+    await runChannels(channels, {
+      hours: options.hours,
+      days: options.days,
+      testMode: options.test,
+      sinceLastRun: options.sinceLastRun || false
+    });
+
+  } catch (error) {
+    logger.error(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Backfill command: walk a long date range window by window with timestamp-bounded search
+ */
+async function backfillCommand(options) {
+  const to = options.to ? Date.parse(options.to) : Date.now();
+  const from = options.from ? Date.parse(options.from) : options.days ? to - options.days * 24 * 60 * 60 * 1000 : NaN;
+
+  if (!options.from && !options.days) {
+    logger.error('Error: Must specify either --days or --from');
+    process.exit(1);
+  }
+
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    logger.error('Error: --from and --to must be valid dates (e.g. 2024-01-31)');
+    process.exit(1);
+  }
+
+  if (from >= to) {
+    logger.error('Error: backfill range must end after it starts');
+    process.exit(1);
+  }
+
+  if (!options.windowHours || options.windowHours <= 0) {
+    logger.error('Error: --window-hours must be a positive number');
     process.exit(1);
   }
 
   try {
-    // Load configuration
-    logger.info('Loading channel configuration...');
-    const config = loadChannelsConfig(options.config);
-    const channels = getEnabledChannels(config);
+    const channels = loadChannels(options, { backfill: true }).filter(channel => {
+      if (channel.search) {
+        logger.warn(`Skipping search channel ${channel.subreddit}: backfill only supports subreddit channels`);
+        return false;
+      }
+      return true;
+    });
 
     if (channels.length === 0) {
-      logger.warn('No enabled channels found in configuration');
+      logger.warn('No subreddit channels to backfill');
       process.exit(0);
     }
 
-    logger.info(`Found ${channels.length} enabled channels: ${channels.map(c => c.subreddit).join(', ')}`);
+    requireApiToken(channels);
 
-    // Log execution parameters
-    const timeWindow = options.hours ? `${options.hours} hours` : `${options.days} days`;
-    logger.info(`Fetching posts from last ${timeWindow}`);
+    logger.info(`Backfilling ${new Date(from).toISOString()} - ${new Date(to).toISOString()} in ${options.windowHours}-hour windows`);
     if (options.test) {
-      logger.info('Test mode: limiting to 5 posts per channel');
+      logger.info('Test mode: stopping each channel after the first window with posts');
     }
 
-    // Create a limit for parallel workers (process 3 channels at a time)
-    const limit = pLimit(3);
-
-    // Start workers for all channels
-    logger.info('Starting channel workers...');
-    const startTime = Date.now();
-
-    const workerPromises = channels.map(channel =>
-      limit(() => runChannelWorker(channel, options.hours, options.days, options.test))
-    );
-
-    // Wait for all workers to complete
-    const results = await Promise.allSettled(workerPromises);
-
-    // Calculate execution time
-    const executionTime = ((Date.now() - startTime) / 1000).toFixed(2);
-
-    // Generate summary report
-    logger.info('\n' + '='.repeat(60));
-    logger.info('EXECUTION SUMMARY');
-    logger.info('='.repeat(60));
-
-    let totalPosts = 0;
-    let totalComments = 0;
-    let totalSuccessful = 0;
-    let totalFailed = 0;
-    let successfulChannels = 0;
-    let failedChannels = 0;
-
-    results.forEach((result, index) => {
-      const channel = channels[index];
-
-      if (result.status === 'fulfilled' && result.value.success) {
-        successfulChannels++;
-        const stats = result.value.stats;
-        totalPosts += stats.posts;
-        totalComments += stats.comments;
-        totalSuccessful += stats.successful;
-        totalFailed += stats.failed;
-
-        logger.info(`✓ ${channel.subreddit}: ${stats.posts} posts, ${stats.comments} comments (${stats.successful} successful, ${stats.failed} failed)`);
-
-        // Log errors if any
-        if (stats.errors && stats.errors.length > 0) {
-          logger.warn(`  Errors encountered: ${stats.errors.length}`);
-          stats.errors.slice(0, 3).forEach(err => {
-            logger.warn(`    - ${err.id}: ${err.error}`);
-          });
-          if (stats.errors.length > 3) {
-            logger.warn(`    ... and ${stats.errors.length - 3} more`);
-          }
-        }
-      } else {
-        failedChannels++;
-        const error = result.status === 'fulfilled' ? result.value.error : result.reason.message;
-        logger.error(`✗ ${channel.subreddit}: Failed - ${error}`);
+    await runChannels(channels, {
+      testMode: options.test,
+      backfill: {
+        from: Math.floor(from / 1000),
+        to: Math.floor(to / 1000),
+        windowHours: options.windowHours,
+        reset: options.reset || false
       }
     });
 
-    logger.info('='.repeat(60));
-    logger.info(`Total: ${totalPosts} posts, ${totalComments} comments`);
-    logger.info(`Ingestion: ${totalSuccessful} successful, ${totalFailed} failed`);
-    logger.info(`Channels: ${successfulChannels} successful, ${failedChannels} failed`);
-    logger.info(`Execution time: ${executionTime}s`);
-    logger.info('='.repeat(60));
+  } catch (error) {
+    logger.error(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
 
-    // Exit with appropriate code
-    if (failedChannels === channels.length) {
-      logger.error('All channels failed');
+/**
+ * Refresh command: re-crawl posts already in the ingestion ledger for new comments and updated counts
+ */
+async function refreshCommand(options) {
+  if (!options.hours && !options.days) {
+    logger.error('Error: Must specify either --hours or --days');
+    process.exit(1);
+  }
+
+  if (options.hours && options.days) {
+    logger.error('Error: Cannot specify both --hours and --days');
+    process.exit(1);
+  }
+
+  if ((options.hours && options.hours <= 0) || (options.days && options.days <= 0)) {
+    logger.error('Error: --hours and --days must be positive numbers');
+    process.exit(1);
+  }
+
+  try {
+    const channels = loadChannels(options);
+    requireApiToken(channels);
+
+    const timeWindow = options.hours ? `${options.hours} hours` : `${options.days} days`;
+    logger.info(`Refreshing posts ingested from the last ${timeWindow}`);
+
+    await runChannels(channels, {
+      testMode: options.test,
+      refresh: {
+        hours: options.hours,
+        days: options.days
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Replay command: re-send items from the dead-letter store
+ */
+async function replayFailedCommand(options) {
+  for (const name of ['olderThan', 'newerThan', 'limit']) {
+    if (options[name] !== undefined && !(options[name] > 0)) {
+      logger.error(`Error: --${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)} must be a positive number`);
       process.exit(1);
-    } else if (failedChannels > 0) {
-      logger.warn('Some channels failed');
-      process.exit(0);
-    } else {
-      logger.info('All channels completed successfully');
+    }
+  }
+
+  const filters = {
+    channel: options.channel,
+    errorType: options.errorType,
+    olderThanHours: options.olderThan,
+    newerThanHours: options.newerThan,
+    limit: options.limit
+  };
+
+  try {
+    if (options.dryRun) {
+      const groups = findDeadLetters(filters);
+      const total = groups.reduce((sum, { entries }) => sum + entries.length, 0);
+
+      logger.info(`${total} failed items match the filters`);
+      groups.forEach(({ store, entries }) => {
+        const byType = {};
+        entries.forEach(entry => {
+          byType[entry.errorType] = (byType[entry.errorType] || 0) + 1;
+        });
+        logger.info(`  ${store.channel}: ${Object.entries(byType).map(([type, count]) => `${count} ${type}`).join(', ')}`);
+      });
       process.exit(0);
     }
 
+    let sinks = null;
+    if (options.sinks) {
+      try {
+        sinks = parseSinkConfigs(options.sinks);
+      } catch (error) {
+        logger.error(`Error: invalid --sinks: ${error.message}`);
+        process.exit(1);
+      }
+    }
+
+    const results = await replayDeadLetters(filters, {
+      testMode: options.test,
+      sinks,
+      configPath: options.config
+    });
+
+    results.errors.slice(0, 3).forEach(err => {
+      logger.warn(`  - ${err.channel} ${err.id}: ${err.error}`);
+    });
+    if (results.errors.length > 3) {
+      logger.warn(`  ... and ${results.errors.length - 3} more`);
+    }
+
+    process.exit(results.failed > 0 && results.successful === 0 ? 1 : 0);
+
+  } catch (error) {
+    logger.error(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Daemon command: keep running and start jobs on each channel's schedule, or on the global --cron schedule
+ */
+async function daemonCommand(options) {
+  let globalSchedule = null;
+  const cron = options.cron || process.env.SCHEDULE_CRON;
+
+  if (cron) {
+    try {
+      globalSchedule = parseSchedule({
+        cron,
+        hours: options.hours,
+        days: options.days,
+        sinceLastRun: options.sinceLastRun,
+        refresh: options.refresh || false
+      });
+    } catch (error) {
+      logger.error(`Error: invalid schedule: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  try {
+    const channels = loadChannels(options);
+
+    if (!globalSchedule && !channels.some(channel => channel.schedule)) {
+      logger.error('Error: no schedules configured; pass --cron, set SCHEDULE_CRON or add "schedule" to channels');
+      process.exit(1);
+    }
+
+    requireApiToken(channels);
+
+    const jobManager = new JobManager();
+    jobManager.subscribe(event => {
+      if (event.type === 'job_completed') {
+        const { id, channels: jobChannels, totalStats } = event.job;
+        const failed = jobChannels.filter(ch => ch.status === 'failed').map(ch => ch.subreddit);
+        logger.info(`Job ${id} completed: ${totalStats.posts} posts, ${totalStats.comments} comments, ${totalStats.successful} items ingested, ${totalStats.failed} failed`);
+        if (failed.length > 0) {
+          logger.warn(`Job ${id}: ${failed.join(', ')} failed`);
+        }
+      }
+    });
+
+    const scheduler = new Scheduler(jobManager, {
+      schedule: globalSchedule,
+      configPath: options.config,
+      sinks: options.sinks ? parseSinkConfigs(options.sinks) : null
+    });
+
+    logger.info('Starting daemon (Ctrl+C to stop)');
+    scheduler.start();
+
+  } catch (error) {
+    logger.error(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Retry command: run the failed and cancelled channels of a finished job again, as a job linked to it
+ */
+async function retryCommand(jobIdArg, options) {
+  const jobId = parseInt(jobIdArg);
+  if (!Number.isInteger(jobId)) {
+    logger.error('Error: job ID must be a number');
+    process.exit(1);
+  }
+
+  try {
+    const jobManager = new JobManager();
+    const job = jobManager.getJobSummary(jobId);
+
+    if (!job) {
+      logger.error(`Error: job ${jobId} not found`);
+      process.exit(1);
+    }
+
+    const channels = getAllChannels(loadChannelsConfig(options.config));
+    requireApiToken(job.params.sinks ? [{ sinks: job.params.sinks }] : channels);
+
+    let retry;
+    try {
+      retry = jobManager.retryJob(jobId, channels);
+    } catch (error) {
+      logger.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+
+    logger.info(`Job ${retry.jobId} retrying ${retry.channels.map(ch => ch.subreddit).join(', ')} from job ${jobId}`);
+    const result = await jobManager.startJob(retry.jobId, retry.channels);
+
+    const { totalStats } = result;
+    result.channels.forEach(ch => {
+      if (ch.status === 'failed') {
+        logger.error(`✗ ${ch.subreddit}: Failed - ${ch.error}`);
+      } else {
+        logger.info(`✓ ${ch.subreddit}: ${ch.stats?.posts || 0} posts, ${ch.stats?.comments || 0} comments`);
+      }
+    });
+    logger.info(`Job ${retry.jobId} ${result.status}: ${totalStats.posts} posts, ${totalStats.comments} comments, ${totalStats.successful} items ingested, ${totalStats.failed} failed`);
+
+    await jobManager.alerts.flush();
+    process.exit(result.channels.every(ch => ch.status === 'failed') ? 1 : 0);
+
   } catch (error) {
     logger.error(`Fatal error: ${error.message}`);
     process.exit(1);
   }
 }
 
+/**
+ * Main execution function
+ */
+async function main() {
+  const program = new Command();
+
+  program
+    .name('reddit-intelligence-daemon')
+    .description('Fetch Reddit posts and ingest them into a vector database')
+    .enablePositionalOptions()
+    .option('--hours <number>', 'Fetch posts from last N hours', parseInt)
+    .option('--days <number>', 'Fetch posts from last N days', parseInt)
+    .option('--test', 'Test mode (fetch max 5 posts per channel)')
+    .option('--since-last-run', 'Only fetch posts newer than the last ingested checkpoint per subreddit')
+    .option('--config <path>', 'Path to channels.json configuration file')
+    .option('--sinks <types>', 'Comma-separated sinks for every channel (ingestor, jsonl, webhook)')
+    .option('--channels <names>', 'Comma-separated channels to run instead of the enabled ones (disabled ones allowed)')
+    .option('--overrides <json>', 'Per-channel overrides, e.g. \'{"r/v0":{"hours":48,"comments":{"depth":3}}}\'')
+    .action(fetchCommand);
+
+  program
+    .command('backfill')
+    .description('Backfill history beyond the ~1000 post listing ceiling, window by window')
+    .option('--days <number>', 'Backfill the last N days', parseInt)
+    .option('--from <date>', 'Start of the range (ISO date)')
+    .option('--to <date>', 'End of the range (ISO date, default: now)')
+    .option('--window-hours <number>', 'Window size in hours', value => parseInt(value), 24)
+    .option('--reset', 'Discard saved backfill progress and start over')
+    .option('--test', 'Test mode (stop after the first window with posts)')
+    .option('--config <path>', 'Path to channels.json configuration file')
+    .option('--sinks <types>', 'Comma-separated sinks for every channel (ingestor, jsonl, webhook)')
+    .option('--channels <names>', 'Comma-separated channels to backfill instead of the enabled ones')
+    .option('--overrides <json>', 'Per-channel test mode and comment depth/limit overrides (JSON)')
+    .action(backfillCommand);
+
+  program
+    .command('refresh')
+    .description('Re-crawl recently ingested posts and send new comments and updated counts')
+    .option('--hours <number>', 'Refresh posts created in the last N hours', parseInt)
+    .option('--days <number>', 'Refresh posts created in the last N days', parseInt)
+    .option('--test', 'Test mode (refresh max 5 posts per channel)')
+    .option('--config <path>', 'Path to channels.json configuration file')
+    .option('--sinks <types>', 'Comma-separated sinks for every channel (ingestor, jsonl, webhook)')
+    .option('--channels <names>', 'Comma-separated channels to refresh instead of the enabled ones')
+    .option('--overrides <json>', 'Per-channel overrides of the window, test mode and comment depth/limit (JSON)')
+    .action(refreshCommand);
+
+  program
+    .command('replay-failed')
+    .description('Re-send items that failed to ingest, from the dead-letter store')
+    .option('--channel <subreddit>', 'Only replay items from this channel')
+    .option('--error-type <type>', 'Only replay items with this error type (validation, rate_limited, server_error, request, network)')
+    .option('--older-than <hours>', 'Only replay items that last failed more than N hours ago', parseFloat)
+    .option('--newer-than <hours>', 'Only replay items that last failed within the last N hours', parseFloat)
+    .option('--limit <number>', 'Replay at most N items', value => parseInt(value))
+    .option('--dry-run', 'List matching items without sending them')
+    .option('--test', 'Send with test=true and leave the dead-letter store untouched')
+    .option('--sinks <types>', 'Replay to these sinks instead of the ones that rejected each item')
+    .option('--config <path>', 'Path to channels.json configuration file')
+    .action(replayFailedCommand);
+
+  program
+    .command('daemon')
+    .description('Keep running and start jobs on cron schedules (per channel, or global with --cron)')
+    .option('--cron <expression>', 'Schedule for channels without their own (default: SCHEDULE_CRON)')
+    .option('--hours <number>', 'Fetch posts from last N hours on each run', parseInt)
+    .option('--days <number>', 'Fetch posts from last N days on each run', parseInt)
+    .option('--since-last-run', 'Fetch posts newer than the last checkpoint (default without --hours/--days)')
+    .option('--refresh', 'Refresh posts from the last --hours/--days instead of fetching new ones')
+    .option('--config <path>', 'Path to channels.json configuration file')
+    .option('--sinks <types>', 'Comma-separated sinks for every channel (ingestor, jsonl, webhook)')
+    .action(daemonCommand);
+
+  program
+    .command('retry <jobId>')
+    .description('Retry the failed and cancelled channels of a finished job with its parameters')
+    .option('--config <path>', 'Path to channels.json configuration file')
+    .action(retryCommand);
+
+  await program.parseAsync(process.argv);
+}
+
 // Graceful shutdown handling
 process.on('SIGINT', () => {
   logger.info('\nReceived SIGINT. Shutting down gracefully...');
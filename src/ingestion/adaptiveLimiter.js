@@ -0,0 +1,85 @@
+/**
+ * Concurrency limiter that adapts to the ingestor's health: it halves its
+ * concurrency and adds a delay between calls when the ingestor answers with
+ * 429 or 5xx, then ramps back up after a streak of successes.
+ */
+export class AdaptiveLimiter {
+  constructor({ maxConcurrency = 4, maxDelay = 30000, recoveryStreak = 10 } = {}) {
+    this.maxConcurrency = maxConcurrency;
+    this.concurrency = maxConcurrency;
+    this.maxDelay = maxDelay;
+    this.recoveryStreak = recoveryStreak;
+
+    this.delay = 0;
+    this.successStreak = 0;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Run a task once a slot is free
+   */
+  async run(task) {
+    await this.acquire();
+    try {
+      if (this.delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.delay));
+      }
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Wait for a free slot
+   */
+  acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.queue.push(resolve));
+  }
+
+  /**
+   * Free a slot and start queued tasks up to the current concurrency
+   */
+  release() {
+    this.active--;
+    this.drain();
+  }
+
+  /**
+   * Start queued tasks while slots are available
+   */
+  drain() {
+    while (this.queue.length > 0 && this.active < this.concurrency) {
+      this.active++;
+      this.queue.shift()();
+    }
+  }
+
+  /**
+   * The ingestor is overloaded (429/5xx): halve concurrency and slow down
+   */
+  backoff() {
+    this.successStreak = 0;
+    this.concurrency = Math.max(1, Math.floor(this.concurrency / 2));
+    this.delay = Math.min(this.maxDelay, Math.max(250, this.delay * 2));
+  }
+
+  /**
+   * A call succeeded: shrink the delay and, after a streak, allow one more concurrent call
+   */
+  succeed() {
+    this.successStreak++;
+    this.delay = this.delay > 50 ? Math.floor(this.delay / 2) : 0;
+
+    if (this.successStreak >= this.recoveryStreak && this.concurrency < this.maxConcurrency) {
+      this.concurrency++;
+      this.successStreak = 0;
+      this.drain();
+    }
+  }
+}
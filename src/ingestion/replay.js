@@ -0,0 +1,143 @@
+import { DeadLetterStore } from '../storage/deadLetterStore.js';
+import { IngestionLedger } from '../storage/ingestionLedger.js';
+import { loadChannelsConfig } from '../config/loader.js';
+import { parseSinkConfigs, createSink, DEFAULT_SINKS } from '../sinks/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Replay');
+
+/**
+ * Normalize a channel name for comparison ("r/Foo", "foo" -> "foo")
+ */
+function normalizeChannel(channel) {
+  return channel.replace(/^r\//i, '').toLowerCase();
+}
+
+/**
+ * Find dead-letter entries matching the filters, grouped by channel store
+ * @param {Object} filters - { channel, errorType, olderThanHours, newerThanHours, limit }
+ * @returns {Array} [{ store, entries }] for stores with at least one match
+ */
+export function findDeadLetters(filters = {}) {
+  const now = Date.now();
+  let remaining = filters.limit || Infinity;
+
+  return DeadLetterStore.loadAll()
+    .filter(store => !filters.channel || normalizeChannel(store.channel) === normalizeChannel(filters.channel))
+    .map(store => {
+      const entries = store.getEntries().filter(entry => {
+        const ageHours = (now - Date.parse(entry.lastFailedAt)) / (60 * 60 * 1000);
+
+        if (filters.errorType && entry.errorType !== filters.errorType) return false;
+        if (filters.olderThanHours && ageHours < filters.olderThanHours) return false;
+        if (filters.newerThanHours && ageHours > filters.newerThanHours) return false;
+        return true;
+      }).slice(0, remaining);
+
+      remaining -= entries.length;
+      return { store, entries };
+    })
+    .filter(({ entries }) => entries.length > 0);
+}
+
+/**
+ * Get a channel's configured sinks, falling back to the ingestor if the channel
+ * is gone from channels.json or its sinks are invalid
+ */
+function getChannelSinks(config, channel) {
+  try {
+    return parseSinkConfigs(config[channel]?.sinks);
+  } catch (error) {
+    logger.warn(`Invalid sinks for ${channel} (${error.message}), replaying to the ingestor`);
+    return DEFAULT_SINKS;
+  }
+}
+
+/**
+ * Re-send dead-letter entries. Each entry goes only to the sinks that rejected it
+ * (when those are still configured for its channel), or to the sinks given in options.
+ * Items that go through are removed from the store and, unless other sinks were given,
+ * recorded in the channel's ingestion ledger; items that fail again stay with
+ * their attempt count increased. Callers must not replay a channel while its worker runs.
+ * @param {Object} filters - See findDeadLetters
+ * @param {Object} options - { testMode, sinks, configPath } (test mode sends with test=true and leaves the store untouched)
+ * @returns {Object} { matched, successful, failed, errors }
+ */
+export async function replayDeadLetters(filters = {}, { testMode = false, sinks = null, configPath = null } = {}) {
+  const groups = findDeadLetters(filters);
+  const results = { matched: 0, successful: 0, failed: 0, errors: [] };
+
+  if (groups.length === 0) {
+    logger.info('No dead-letter entries match the filters');
+    return results;
+  }
+
+  const config = sinks ? {} : loadChannelsConfig(configPath);
+
+  for (const { store, entries } of groups) {
+    logger.info(`Replaying ${entries.length} failed items for ${store.channel}`);
+    results.matched += entries.length;
+
+    const channelSinks = sinks || getChannelSinks(config, store.channel);
+    const createdSinks = new Map();
+
+    // Items replayed to the channel's own sinks count as ingested for later runs' skip logic
+    const ledger = !testMode && !sinks ? new IngestionLedger(store.channel) : null;
+
+    // Send entries that share their target sinks and post together
+    const batches = new Map();
+    for (const entry of entries) {
+      const targets = sinks || channelSinks.filter(sinkConfig => !entry.sinks || entry.sinks.includes(sinkConfig.name));
+      const sinkConfigs = targets.length > 0 ? targets : channelSinks;
+      const key = `${sinkConfigs.map(sinkConfig => sinkConfig.name).join('+')}|${entry.postId}`;
+
+      if (!batches.has(key)) {
+        batches.set(key, { sinkConfigs, postId: entry.postId, entries: [] });
+      }
+      batches.get(key).entries.push(entry);
+    }
+
+    for (const batch of batches.values()) {
+      const sinkKey = batch.sinkConfigs.map(sinkConfig => sinkConfig.name).join('+');
+      if (!createdSinks.has(sinkKey)) {
+        createdSinks.set(sinkKey, createSink(batch.sinkConfigs, store.channel));
+      }
+      const sink = createdSinks.get(sinkKey);
+
+      const itemResults = await sink.send(batch.entries.map(entry => entry.item), testMode, {
+        channel: store.channel,
+        postId: batch.postId
+      });
+
+      batch.entries.forEach((entry, index) => {
+        const result = itemResults[index];
+
+        if (result.success) {
+          results.successful++;
+          if (!testMode) store.resolve(entry.itemId);
+          if (ledger) ledger.recordItems([entry.item], entry.postId);
+        } else {
+          results.failed++;
+          results.errors.push({
+            id: entry.itemId,
+            channel: store.channel,
+            error: result.error,
+            errorType: result.errorType
+          });
+          if (!testMode) store.record(entry.item, { sinks: [sink.name], ...result }, entry.postId);
+        }
+      });
+    }
+
+    if (!testMode) {
+      store.save();
+    }
+    if (ledger) {
+      ledger.save();
+    }
+  }
+
+  logger.info(`Replay complete: ${results.successful}/${results.matched} items ingested, ${results.failed} still failing`);
+
+  return results;
+}
@@ -0,0 +1,113 @@
+/**
+ * Renders a whole Reddit thread as one text document: the post, then its
+ * comments in tree order with author and score. When the thread does not fit
+ * the size budget, comments are chosen best-first by branch score (the best
+ * score anywhere in the comment's subtree; a reply is only eligible once its
+ * parent is in), so high-scoring branches survive and low-scoring leaves are
+ * dropped first.
+ */
+
+/**
+ * Best score in a comment's subtree, so a low-scoring comment leading to a
+ * high-scoring reply is kept along with it
+ */
+function branchScore(comment) {
+  return (comment.replies || []).reduce(
+    (best, reply) => Math.max(best, branchScore(reply)),
+    comment.score
+  );
+}
+
+/**
+ * Render one comment as an indented line
+ */
+function renderComment(comment, depth, maxCommentLength) {
+  let body = (comment.body || '').replace(/\s+/g, ' ').trim();
+  if (body.length > maxCommentLength) {
+    body = `${body.substring(0, maxCommentLength)}…`;
+  }
+  return `${'  '.repeat(depth)}- u/${comment.author} (${comment.score} points): ${body}\n`;
+}
+
+/**
+ * Build the thread document text
+ * @param {Object} post - Post from RedditFetcher
+ * @param {Array} comments - Comment tree from RedditFetcher
+ * @param {Object} options - { maxLength, maxCommentLength }
+ * @returns {Object} { text, commentsIncluded, commentsTotal }
+ */
+export function buildThreadDocument(post, comments, { maxLength, maxCommentLength }) {
+  let header = `${post.title}\nu/${post.author} (${post.score} points)\n`;
+  if (post.link_url) {
+    header += post.domain ? `Link: ${post.link_url} (${post.domain})\n` : `Link: ${post.link_url}\n`;
+  }
+  if (post.content) {
+    header += `\n${post.content}\n`;
+  }
+
+  // The post itself gets at most half of the budget, the rest is for comments
+  const headerBudget = Math.floor(maxLength / 2);
+  if (header.length > headerBudget) {
+    header = `${header.substring(0, headerBudget)}…\n`;
+  }
+
+  // Pick comments best-first until the budget is spent
+  const roots = [];
+  const candidates = [];
+  const addCandidates = (children, depth, parent) => {
+    for (const comment of children || []) {
+      const node = {
+        comment,
+        depth,
+        children: [],
+        score: branchScore(comment),
+        line: renderComment(comment, depth, maxCommentLength)
+      };
+      candidates.push(node);
+      (parent ? parent.children : roots).push(node);
+    }
+  };
+
+  addCandidates(comments, 0, null);
+
+  // Leave room for the "Comments:" heading and the "more comments not shown" line
+  let remaining = maxLength - header.length - 64;
+  let included = 0;
+
+  while (candidates.length > 0) {
+    let best = 0;
+    for (let i = 1; i < candidates.length; i++) {
+      if (candidates[i].score > candidates[best].score) best = i;
+    }
+    const [node] = candidates.splice(best, 1);
+
+    if (node.line.length > remaining) {
+      continue;
+    }
+
+    node.included = true;
+    remaining -= node.line.length;
+    included++;
+    addCandidates(node.comment.replies, node.depth + 1, node);
+  }
+
+  // Count every comment in the tree, including replies that were never reached
+  const countAll = list => (list || []).reduce((sum, comment) => sum + 1 + countAll(comment.replies), 0);
+  const total = countAll(comments);
+
+  // Render included comments in their original tree order
+  const render = list => list
+    .filter(node => node.included)
+    .map(node => node.line + render(node.children))
+    .join('');
+
+  let text = header;
+  if (included > 0) {
+    text += `\nComments:\n${render(roots)}`;
+  }
+  if (included < total) {
+    text += `[${total - included} more comments not shown]\n`;
+  }
+
+  return { text, commentsIncluded: included, commentsTotal: total };
+}
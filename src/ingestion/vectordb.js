@@ -1,24 +1,146 @@
-import axios from 'axios';
 import { createLogger } from '../utils/logger.js';
+import { IngestorSink } from '../sinks/ingestorSink.js';
+import { buildThreadDocument } from './threadDocument.js';
+import { Redactor, mergeCounts, countPostRedactions } from '../processing/redactor.js';
+import { normalizePost } from '../processing/markdown.js';
+import { SentimentAnalyzer } from '../processing/sentiment.js';
+import { TopicTagger, loadTaxonomy } from '../processing/topics.js';
+import { MentionDetector } from '../processing/mentions.js';
 
 const logger = createLogger('VectorDBIngestion');
 
+const THREAD_CONTEXT_MODES = ['fields', 'prefix'];
+
 export class VectorDBIngestion {
-  constructor(apiUrl, authToken) {
-    this.apiUrl = apiUrl || 'https://intelligence-ingestor-production.up.railway.app';
-    this.authToken = authToken || process.env.VECTORDB_API_TOKEN;
-    this.batchSize = 10; // Ingest 10 posts at a time
-    this.maxRetries = 3;
+  constructor(apiUrl, authToken, options = {}) {
+    // Where items are sent (see src/sinks); defaults to the HTTP ingestor
+    this.sink = options.sink || new IngestorSink({
+      url: apiUrl,
+      token: authToken,
+      batchSize: options.batchSize,
+      concurrency: options.concurrency
+    });
+
+    // Optional IngestionLedger recording what was ingested (neither read nor written in test mode)
+    this.ledger = options.ledger || null;
+
+    // Optional DeadLetterStore keeping failed payloads for replay (never written in test mode)
+    this.deadLetters = options.deadLetters || null;
+
+    // Optional thread context on comment items, disabled unless the channel opts in
+    this.threadContext = options.threadContext?.enabled ? {
+      mode: THREAD_CONTEXT_MODES.includes(options.threadContext.mode) ? options.threadContext.mode : 'fields',
+      parentComment: options.threadContext.parentComment ?? true,
+      maxParentLength: options.threadContext.maxParentLength ?? 500
+    } : null;
+
+    // Optional whole-thread documents, disabled unless the channel opts in
+    this.threadDocument = options.threadDocument?.enabled ? {
+      maxLength: options.threadDocument.maxLength ?? 20000,
+      maxCommentLength: options.threadDocument.maxCommentLength ?? 1000,
+      keepItems: options.threadDocument.keepItems ?? false
+    } : null;
+
+    // Optional redaction of secrets and personal data before transforming, disabled unless the channel opts in
+    this.redactor = options.redaction?.enabled ? new Redactor(options.redaction) : null;
+
+    // Optional markdown normalization into plain text plus links/code_blocks/quotes fields
+    this.normalize = options.normalize?.enabled || false;
+
+    // Optional offline sentiment and topic tags on each item, disabled unless the channel opts in
+    this.tagging = options.tagging?.enabled ? {
+      sentiment: options.tagging.sentiment !== false ? new SentimentAnalyzer(options.tagging.lexicon) : null,
+      topics: options.tagging.topics !== false ? new TopicTagger(loadTaxonomy(options.tagging.taxonomy)) : null
+    } : null;
+
+    // Optional callback telling multi-post ingestion to stop after the current post
+    this.isCancelled = options.isCancelled || (() => false);
+
+    // Optional detection of mentions of the configured platforms, disabled unless the channel opts in
+    this.mentions = options.mentions?.enabled ? new MentionDetector(options.mentions.platforms) : null;
+  }
+
+  /**
+   * Tag an item with the tags (sentiment, topics) and platform mentions enabled for the channel
+   */
+  annotate(item, text) {
+    if (this.tagging) {
+      this.addTags(item, text);
+    }
+    if (this.mentions) {
+      item.mentions = this.mentions.detect(text);
+    }
+  }
+
+  /**
+   * Tag an item with the sentiment and topics of its text
+   */
+  addTags(item, text) {
+    if (this.tagging.sentiment) {
+      const { comparative, label } = this.tagging.sentiment.analyze(text);
+      item.sentiment = label;
+      item.sentiment_score = comparative;
+    }
+    if (this.tagging.topics) {
+      item.topics = this.tagging.topics.tag(text);
+    }
+  }
+
+  /**
+   * Count an ingested item's sentiment label, topics and mentioned platforms into results
+   */
+  countAnnotations(item, results) {
+    if (item.sentiment) {
+      results.sentiment[item.sentiment] = (results.sentiment[item.sentiment] || 0) + 1;
+    }
+    for (const topic of item.topics || []) {
+      results.topics[topic] = (results.topics[topic] || 0) + 1;
+    }
+    for (const platform of item.mentions || []) {
+      results.mentions[platform] = (results.mentions[platform] || 0) + 1;
+    }
+  }
+
+  /**
+   * Get a post's body text; link posts also name the URL and domain they point to
+   */
+  buildPostBody(post) {
+    const text = post.content || post.title; // Use title if no content
+    if (!post.link_url) return text;
+    return post.domain ? `${text}\n\nLink: ${post.link_url} (${post.domain})` : `${text}\n\nLink: ${post.link_url}`;
+  }
 
-    if (!this.authToken) {
-      throw new Error('Vector DB API token is required. Set VECTORDB_API_TOKEN environment variable.');
+  /**
+   * Copy fields added by the processing steps (redaction, normalization) from a post or comment to its item
+   */
+  copyProcessedFields(source, item) {
+    for (const field of ['redactions', 'links', 'code_blocks', 'quotes']) {
+      if (source[field]) {
+        item[field] = source[field];
+      }
     }
   }
 
   /**
-   * Transform Reddit post data to Vector DB format
+   * Transform Reddit post data to Vector DB format: one item per post and comment,
+   * or, for channels with threadDocument enabled, one document for the whole thread
+   * (plus the per-item format when keepItems is set)
    */
   transformPostToVectorFormat(redditPost, platformName) {
+    if (!this.threadDocument) {
+      return this.transformPostToItems(redditPost, platformName);
+    }
+
+    const document = this.transformThreadToDocument(redditPost, platformName);
+    return this.threadDocument.keepItems
+      ? [document, ...this.transformPostToItems(redditPost, platformName)]
+      : [document];
+  }
+
+  /**
+   * Transform a post and its comments into one item each
+   */
+  transformPostToItems(redditPost, platformName) {
     const items = [];
     const { post, comments, subreddit, metadata } = redditPost;
 
@@ -31,19 +153,23 @@ export class VectorDBIngestion {
       deeplink: post.url,
       author: post.author,
       title: post.title,
-      body: post.content || post.title, // Use title if no content
+      body: this.buildPostBody(post),
       isComment: false,
       comments: post.num_comments,
       likes: post.score
     };
 
+    this.copyProcessedFields(post, postItem);
+
+    this.annotate(postItem, `${post.title}\n${post.content || ''}`);
+
     items.push(postItem);
 
     // Transform comments
     if (comments && comments.length > 0) {
       const commentItems = this.transformCommentsToVectorFormat(
         comments,
-        post.id,
+        post,
         platformName || subreddit
       );
       items.push(...commentItems);
@@ -52,35 +178,84 @@ export class VectorDBIngestion {
     return items;
   }
 
+  /**
+   * Transform a post and its comment tree into a single thread document
+   */
+  transformThreadToDocument(redditPost, platformName) {
+    const { post, comments, subreddit } = redditPost;
+    const { text, commentsIncluded, commentsTotal } = buildThreadDocument(post, comments, this.threadDocument);
+
+    const document = {
+      platform: platformName || subreddit,
+      source: 'Reddit',
+      id: `thread_${post.id}`,
+      timestamp: new Date(post.created_utc * 1000).toISOString(),
+      deeplink: post.url,
+      author: post.author,
+      title: post.title,
+      body: text,
+      isComment: false,
+      comments: post.num_comments,
+      likes: post.score,
+      document_type: 'thread',
+      parent_post_id: post.id,
+      comments_included: commentsIncluded,
+      comments_total: commentsTotal
+    };
+
+    if (post.redactions) {
+      document.redactions = countPostRedactions(redditPost);
+    }
+
+    this.annotate(document, text);
+
+    return document;
+  }
+
   /**
    * Recursively transform comments to Vector DB format
+   * @param {Array} comments - Comment tree from RedditFetcher
+   * @param {Object} post - The post the comments belong to
+   * @param {string} platform - Platform name
+   * @param {Object} parentComment - Comment being replied to, null for top-level comments
    */
-  transformCommentsToVectorFormat(comments, postId, subreddit, parentCommentId = null) {
+  transformCommentsToVectorFormat(comments, post, platform, parentComment = null) {
     const items = [];
 
     for (const comment of comments) {
       const commentItem = {
-        platform: subreddit,
+        platform,
         source: 'Reddit',
-        id: parentCommentId ? `${postId}_${comment.id}` : comment.id,
+        id: comment.id,
         timestamp: new Date(comment.created_utc * 1000).toISOString(),
         deeplink: `https://reddit.com${comment.permalink}`,
         author: comment.author,
         title: '', // Comments don't have titles
         body: comment.body,
         isComment: true,
-        likes: comment.score
+        likes: comment.score,
+        parent_post_id: post.id,
+        parent_comment_id: parentComment ? parentComment.id : null
       };
 
+      this.copyProcessedFields(comment, commentItem);
+
+      // Tag the comment's own text, before any thread context is prefixed
+      this.annotate(commentItem, comment.body);
+
+      if (this.threadContext) {
+        this.addThreadContext(commentItem, post, parentComment);
+      }
+
       items.push(commentItem);
 
       // Recursively process replies
       if (comment.replies && comment.replies.length > 0) {
         const replyItems = this.transformCommentsToVectorFormat(
           comment.replies,
-          postId,
-          subreddit,
-          comment.id
+          post,
+          platform,
+          comment
         );
         items.push(...replyItems);
       }
@@ -90,155 +265,270 @@ export class VectorDBIngestion {
   }
 
   /**
-   * Ingest a single item into the vector database
+   * Add the post title, and the parent comment's text for replies, to a comment item:
+   * as post_title/parent_comment_text fields, or as a prefix to its body
    */
-  async ingestItem(item, testMode = false) {
-    const url = `${this.apiUrl}/ingest?test=${testMode}`;
+  addThreadContext(commentItem, post, parentComment) {
+    const { mode, parentComment: includeParent, maxParentLength } = this.threadContext;
+
+    let parentText = null;
+    if (includeParent && parentComment?.body) {
+      parentText = parentComment.body.length > maxParentLength
+        ? `${parentComment.body.substring(0, maxParentLength)}…`
+        : parentComment.body;
+    }
 
-    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
-      try {
-        const response = await axios.post(url, item, {
-          headers: {
-            'Authorization': `Bearer ${this.authToken}`,
-            'Content-Type': 'application/json'
-          }
-        });
+    if (mode === 'prefix') {
+      const context = [`Post: ${post.title}`];
+      if (parentText) {
+        context.push(`Replying to: ${parentText}`);
+      }
+      commentItem.body = `${context.join('\n')}\n\n${commentItem.body}`;
+    } else {
+      commentItem.post_title = post.title;
+      if (parentText) {
+        commentItem.parent_comment_text = parentText;
+      }
+    }
+  }
 
-        logger.debug(`Ingested ${item.isComment ? 'comment' : 'post'} ${item.id}: ${response.data.base_id}`);
-        return {
-          success: true,
-          id: item.id,
-          chromaId: response.data.base_id,
-          chunks: response.data.chunks_created
-        };
+  /**
+   * Create an empty ingestion results object
+   */
+  createResults() {
+    return {
+      total: 0,
+      successful: 0,
+      failed: 0,
+      posts: 0,
+      comments: 0,
+      newItems: 0,
+      updatedItems: 0,
+      skipped: 0,
+      redactions: {},
+      sentiment: {},
+      topics: {},
+      mentions: {},
+      errors: [],
+      startedAt: Date.now(),
+      durationMs: 0,
+      itemsPerSecond: 0
+    };
+  }
 
-      } catch (error) {
-        const status = error.response?.status;
+  /**
+   * Drop items the ledger shows were already ingested with the same payload,
+   * counting new, updated and skipped items into results. Test runs go to the
+   * test collection, which the ledger doesn't track, so they send everything.
+   * @returns {Array} Items to send
+   */
+  selectChanged(items, results, testMode = false) {
+    if (!this.ledger || testMode) {
+      results.newItems += items.length;
+      return items;
+    }
 
-        // Handle authentication errors
-        if (status === 401 || status === 403) {
-          logger.error(`Authentication failed for Vector DB: ${error.message}`);
-          throw new Error('Vector DB authentication failed. Check your API token.');
-        }
+    return items.filter(item => {
+      const status = this.ledger.getItemStatus(item);
 
-        // Handle validation errors
-        if (status === 422) {
-          logger.error(`Validation error for item ${item.id}: ${JSON.stringify(error.response.data)}`);
-          return {
-            success: false,
-            id: item.id,
-            error: 'Validation error',
-            details: error.response.data
-          };
-        }
+      if (status === 'unchanged') {
+        results.skipped++;
+        return false;
+      }
 
-        // Handle rate limiting or server errors with exponential backoff
-        if (status === 429 || status >= 500) {
-          const backoffTime = Math.pow(2, attempt) * 1000;
-          logger.warn(`Server error (${status}) for item ${item.id}. Retrying in ${backoffTime}ms (${attempt + 1}/${this.maxRetries})`);
-          await new Promise(resolve => setTimeout(resolve, backoffTime));
-          continue;
-        }
+      if (status === 'new') {
+        results.newItems++;
+      } else {
+        results.updatedItems++;
+      }
+      return true;
+    });
+  }
 
-        // Other errors
-        logger.error(`Failed to ingest item ${item.id}: ${error.message}`);
-        return {
-          success: false,
+  /**
+   * Send the items of one post to the sink, accumulating into results and recording successes in the ledger
+   */
+  async ingestPostItems(redditPost, items, testMode, results) {
+    const ingested = [];
+    const failed = [];
+    results.total += items.length;
+
+    const itemResults = await this.sink.send(items, testMode, {
+      channel: redditPost.subreddit,
+      postId: redditPost.post.id
+    });
+
+    items.forEach((item, index) => {
+      const result = itemResults[index];
+
+      if (result.success) {
+        results.successful++;
+        ingested.push(item);
+        this.countAnnotations(item, results);
+        if (item.isComment) {
+          results.comments++;
+        } else {
+          results.posts++;
+        }
+      } else {
+        results.failed++;
+        results.errors.push({
           id: item.id,
-          error: error.message
-        };
+          error: result.error,
+          errorType: result.errorType,
+          details: result.details
+        });
+        failed.push({ item, result });
       }
+    });
+
+    if (this.ledger && !testMode && ingested.length > 0) {
+      this.ledger.recordPost(redditPost, ingested);
     }
 
-    return {
-      success: false,
-      id: item.id,
-      error: `Max retries (${this.maxRetries}) exceeded`
-    };
+    if (this.deadLetters && !testMode) {
+      // Items that failed before and went through now leave the dead-letter store
+      const resolved = ingested.filter(item => this.deadLetters.resolve(item.id));
+      failed.forEach(({ item, result }) => {
+        this.deadLetters.record(item, { sinks: [this.sink.name], ...result }, redditPost.post.id);
+      });
+
+      if (resolved.length > 0 || failed.length > 0) {
+        this.deadLetters.save();
+      }
+    }
   }
 
   /**
    * Ingest Reddit posts in batches
    */
   async ingestPosts(redditPosts, platformName, testMode = false) {
-    const results = {
-      total: 0,
-      successful: 0,
-      failed: 0,
-      posts: 0,
-      comments: 0,
-      errors: []
-    };
+    const results = this.createResults();
 
     logger.info(`Starting ingestion of ${redditPosts.length} Reddit posts for platform: ${platformName}`);
 
-    for (const redditPost of redditPosts) {
-      try {
-        // Transform to Vector DB format
-        const items = this.transformPostToVectorFormat(redditPost, platformName);
-        results.total += items.length;
-
-        logger.info(`Ingesting post ${redditPost.post.id} with ${items.length - 1} comments`);
-
-        // Ingest each item
-        for (const item of items) {
-          const result = await this.ingestItem(item, testMode);
-
-          if (result.success) {
-            results.successful++;
-            if (item.isComment) {
-              results.comments++;
-            } else {
-              results.posts++;
-            }
-          } else {
-            results.failed++;
-            results.errors.push({
-              id: item.id,
-              error: result.error,
-              details: result.details
-            });
-          }
-
-          // Small delay between items to avoid overwhelming the API
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
+    for (const [index, redditPost] of redditPosts.entries()) {
+      if (this.isCancelled()) {
+        logger.warn(`Cancelled after ${index} of ${redditPosts.length} posts`);
+        break;
+      }
+      await this.ingestPost(redditPost, platformName, testMode, results);
+    }
 
-      } catch (error) {
-        logger.error(`Failed to process post ${redditPost.post.id}: ${error.message}`);
-        results.failed++;
-        results.errors.push({
-          id: redditPost.post.id,
-          error: error.message
-        });
+    this.saveLedger();
+    this.finishResults(results);
+
+    return results;
+  }
+
+  /**
+   * Ingest a single Reddit post with its comments, accumulating into results.
+   * Items already ingested with an identical payload are skipped.
+   * Used directly when posts are streamed in as they are fetched.
+   */
+  async ingestPost(redditPost, platformName, testMode, results) {
+    try {
+      // Redact and normalize, then transform to Vector DB format
+      let prepared = this.redactor ? this.redactor.redactPost(redditPost) : redditPost;
+      if (this.normalize) {
+        prepared = normalizePost(prepared);
+      }
+      const allItems = this.transformPostToVectorFormat(prepared, platformName);
+
+      if (this.redactor) {
+        results.redactions = mergeCounts(results.redactions, countPostRedactions(prepared));
       }
+
+      const items = this.selectChanged(allItems, results, testMode);
+
+      if (items.length === 0) {
+        logger.debug(`Post ${redditPost.post.id} unchanged since last ingestion`);
+        return;
+      }
+
+      if (items.length < allItems.length) {
+        logger.info(`Ingesting post ${redditPost.post.id}: ${items.length} of ${allItems.length} items new or changed`);
+      } else {
+        logger.info(`Ingesting post ${redditPost.post.id} (${items.length} items)`);
+      }
+
+      await this.ingestPostItems(redditPost, items, testMode, results);
+
+    } catch (error) {
+      logger.error(`Failed to process post ${redditPost.post.id}: ${error.message}`);
+      results.failed++;
+      results.errors.push({
+        id: redditPost.post.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Write the ledger entries recorded since its last save; call when a run's ingestion ends
+   */
+  saveLedger() {
+    if (this.ledger?.unsavedPosts > 0) {
+      this.ledger.save();
     }
+  }
 
-    logger.info(`Ingestion complete: ${results.successful}/${results.total} items successful (${results.posts} posts, ${results.comments} comments)`);
+  /**
+   * Record how long ingestion took and the resulting items/second
+   */
+  recordThroughput(results) {
+    results.durationMs = Date.now() - results.startedAt;
+    results.itemsPerSecond = results.durationMs > 0
+      ? Math.round((results.successful / (results.durationMs / 1000)) * 100) / 100
+      : 0;
+  }
+
+  /**
+   * Record throughput and log an ingestion summary
+   */
+  finishResults(results) {
+    this.recordThroughput(results);
+
+    logger.info(`Ingestion complete: ${results.successful}/${results.total} items successful (${results.posts} posts, ${results.comments} comments, ${results.itemsPerSecond} items/s)`);
+    logger.info(`Items: ${results.newItems} new, ${results.updatedItems} updated, ${results.skipped} unchanged and skipped`);
 
     if (results.failed > 0) {
       logger.warn(`${results.failed} items failed to ingest`);
     }
+  }
+
+  /**
+   * Re-ingest refreshed posts, sending only new comments and items whose
+   * payload (likes, comment counts, edited text) changed since the ledger recorded them
+   */
+  async refreshPosts(redditPosts, platformName, testMode = false) {
+    if (!this.ledger) {
+      throw new Error('Refreshing posts requires an ingestion ledger');
+    }
+
+    const results = this.createResults();
+
+    logger.info(`Starting refresh of ${redditPosts.length} Reddit posts for platform: ${platformName}`);
+
+    for (const [index, redditPost] of redditPosts.entries()) {
+      if (this.isCancelled()) {
+        logger.warn(`Cancelled after ${index} of ${redditPosts.length} posts`);
+        break;
+      }
+      await this.ingestPost(redditPost, platformName, testMode, results);
+    }
+
+    this.saveLedger();
+    this.recordThroughput(results);
+    logger.info(`Refresh complete: ${results.successful}/${results.total} items successful (${results.newItems} new, ${results.updatedItems} updated, ${results.skipped} unchanged, ${results.itemsPerSecond} items/s)`);
 
     return results;
   }
 
   /**
-   * Test the Vector DB connection
+   * Test the sink's connection
    */
   async testConnection() {
-    try {
-      const response = await axios.get(`${this.apiUrl}/health`, {
-        headers: {
-          'Authorization': `Bearer ${this.authToken}`
-        }
-      });
-
-      logger.info(`Vector DB connection test: ${response.data.status}`);
-      return response.data.status === 'healthy';
-    } catch (error) {
-      logger.error(`Vector DB connection test failed: ${error.message}`);
-      return false;
-    }
+    return await this.sink.open();
   }
 }
@@ -0,0 +1,140 @@
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Decode the HTML entities Reddit leaves in markdown (&amp;, &gt;, &#x200B;...)
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      // Zero-width spaces are used to force empty paragraphs
+      return code === 0x200b ? '' : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Get a URL's domain without "www.", or null if it is not a valid URL
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn Reddit markdown into plain text for embedding, pulling out what does not
+ * read as prose into structured fields:
+ * - links: [{ url, domain, text }] from [text](url) and bare URLs (kept as their text or domain)
+ * - codeBlocks: fenced and indented code (replaced by "[code]")
+ * - quotes: "> quoted" paragraphs (removed from the text)
+ * @param {string} markdown - Raw body from Reddit
+ * @returns {Object} { text, links, codeBlocks, quotes }
+ */
+export function normalizeMarkdown(markdown) {
+  const links = [];
+  const codeBlocks = [];
+  const quotes = [];
+
+  if (!markdown) {
+    return { text: markdown, links, codeBlocks, quotes };
+  }
+
+  let text = decodeEntities(markdown).replace(/\r\n/g, '\n');
+
+  // Fenced code blocks
+  text = text.replace(/^```[^\n]*\n([\s\S]*?)^```[ \t]*$/gm, (match, code) => {
+    codeBlocks.push(code.replace(/\n$/, ''));
+    return '[code]';
+  });
+
+  // Indented code blocks: 4+ spaces after a blank line
+  text = text.replace(/(^|\n\n)((?: {4}|\t)[^\n]*(?:\n(?: {4}|\t)[^\n]*)*)/g, (match, before, code) => {
+    codeBlocks.push(code.replace(/^(?: {4}|\t)/gm, ''));
+    return `${before}[code]`;
+  });
+
+  // Quoted paragraphs (spoilers ">!...!<" are not quotes)
+  text = text.replace(/(^|\n)((?:>(?!!)[^\n]*(?:\n|$))+)/g, (match, before, quote) => {
+    quotes.push(quote.replace(/^>\s?/gm, '').trim());
+    return `${before}\n`;
+  });
+
+  // Markdown links keep their text; bare URLs are replaced by their domain
+  text = text.replace(/\[([^\]]*)\]\((https?:\/\/[^\s)]+)\)/g, (match, linkText, url) => {
+    links.push({ url, domain: getDomain(url), text: linkText });
+    return linkText || getDomain(url) || '';
+  });
+  text = text.replace(/<?(https?:\/\/[^\s<>)\]]+?)>?([.,!?:;]*)(?=[\s)\]]|$)/g, (match, url, punctuation) => {
+    const domain = getDomain(url);
+    links.push({ url, domain, text: null });
+    return `${domain || url}${punctuation}`;
+  });
+
+  text = text
+    .replace(/>!(.*?)!</g, '$1')                     // Spoilers
+    .replace(/`([^`\n]+)`/g, '$1')                   // Inline code
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')              // Bold
+    .replace(/(^|[\s(])[*_](\S(?:.*?\S)?)[*_](?=[\s).,!?:;]|$)/gm, '$1$2') // Italics
+    .replace(/~~(.+?)~~/g, '$1')                     // Strikethrough
+    .replace(/\^\(([^)]*)\)|\^(\S+)/g, '$1$2')       // Superscript
+    .replace(/^#{1,6}\s+/gm, '')                     // Headings
+    .replace(/^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/gm, '') // Horizontal rules
+    .replace(/\\([\\`*_{}[\]()#+\-.!>~^|])/g, '$1')  // Escapes
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { text, links, codeBlocks, quotes };
+}
+
+/**
+ * Normalize a post's title and body and all comment bodies. Returns a copy in which
+ * the post and every comment carry their extracted links, code_blocks and quotes.
+ * @param {Object} redditPost - Post from RedditFetcher
+ * @returns {Object} Normalized copy of the post
+ */
+export function normalizePost(redditPost) {
+  const { post } = redditPost;
+  const content = normalizeMarkdown(post.content);
+
+  // A link post's target is its most important link
+  if (post.link_url) {
+    content.links.unshift({ url: post.link_url, domain: post.domain, text: null });
+  }
+
+  const normalizeComments = comments => (comments || []).map(comment => {
+    const body = normalizeMarkdown(comment.body);
+    return {
+      ...comment,
+      body: body.text,
+      links: body.links,
+      code_blocks: body.codeBlocks,
+      quotes: body.quotes,
+      replies: normalizeComments(comment.replies)
+    };
+  });
+
+  return {
+    ...redditPost,
+    post: {
+      ...post,
+      title: decodeEntities(post.title || ''),
+      content: content.text,
+      links: content.links,
+      code_blocks: content.codeBlocks,
+      quotes: content.quotes
+    },
+    comments: normalizeComments(redditPost.comments)
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Finds references to the configured platforms (each channel's platform name
+ * and its aliases) in text, e.g. "bolt.new" or "Bolt" for Bolt
+ */
+export class MentionDetector {
+  /**
+   * @param {Array} platforms - [{ name, aliases }] as returned by getPlatforms
+   */
+  constructor(platforms = []) {
+    this.platforms = platforms.map(({ name, aliases = [] }) => {
+      // Longest first, so "bolt.new" wins over "bolt"; an alias must not run into
+      // a longer word, domain or version number ("v0" does not match "v0.2" or "dev0")
+      const names = [...new Set([name, ...aliases])].sort((a, b) => b.length - a.length);
+      const pattern = new RegExp(`(?<![\\w.-])(?:${names.map(escapeRegExp).join('|')})(?![\\w-]|\\.\\w)`, 'i');
+      return { name, pattern };
+    });
+  }
+
+  /**
+   * Get the platforms a piece of text mentions, in configuration order
+   * @returns {Array} Platform names
+   */
+  detect(text) {
+    if (!text) {
+      return [];
+    }
+    return this.platforms
+      .filter(({ pattern }) => pattern.test(text))
+      .map(({ name }) => name);
+  }
+}
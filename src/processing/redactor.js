@@ -0,0 +1,143 @@
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Redactor');
+
+/**
+ * Built-in detectors, applied in this order (JWTs and Supabase URLs before the
+ * broader API key and email patterns that could match parts of them)
+ */
+const BUILT_IN_DETECTORS = {
+  jwt: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+  supabase_url: /\bhttps?:\/\/[a-z0-9]{20}\.supabase\.(?:co|in)\b[^\s)]*/gi,
+  api_key: new RegExp([
+    /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}/,     // OpenAI, Anthropic
+    /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}/, // Stripe
+    /\bAKIA[0-9A-Z]{16}\b/,                        // AWS access key ID
+    /\bAIza[0-9A-Za-z_-]{35}/,                     // Google
+    /\bgh[pousr]_[A-Za-z0-9]{36,}/,                // GitHub tokens
+    /\bgithub_pat_[A-Za-z0-9_]{22,}/,              // GitHub fine-grained tokens
+    /\bxox[abprs]-[A-Za-z0-9-]{10,}/               // Slack
+  ].map(pattern => pattern.source).join('|'), 'g'),
+  email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  phone: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g
+};
+
+export const DETECTOR_NAMES = Object.keys(BUILT_IN_DETECTORS);
+
+/**
+ * Replaces secrets and personal data in post and comment text with
+ * placeholders like [REDACTED_EMAIL], counting what was replaced.
+ * Config: { detectors, rules } where detectors lists built-in detector names
+ * (default: all) and rules are custom { name, pattern, flags } regexes.
+ */
+export class Redactor {
+  constructor(config = {}) {
+    const detectorNames = config.detectors || DETECTOR_NAMES;
+
+    this.rules = [];
+
+    for (const name of detectorNames) {
+      if (!BUILT_IN_DETECTORS[name]) {
+        logger.warn(`Unknown redaction detector "${name}", skipping (expected ${DETECTOR_NAMES.join(', ')})`);
+        continue;
+      }
+      this.rules.push({ name, pattern: BUILT_IN_DETECTORS[name] });
+    }
+
+    for (const rule of config.rules || []) {
+      try {
+        const flags = rule.flags?.includes('g') ? rule.flags : `${rule.flags || ''}g`;
+        this.rules.push({ name: rule.name || 'custom', pattern: new RegExp(rule.pattern, flags) });
+      } catch (error) {
+        logger.warn(`Invalid redaction rule "${rule.name || rule.pattern}": ${error.message}, skipping`);
+      }
+    }
+  }
+
+  /**
+   * Redact a piece of text
+   * @returns {Object} { text, counts } with counts per rule name (only rules that matched)
+   */
+  redactText(text) {
+    const counts = {};
+
+    if (!text) {
+      return { text, counts };
+    }
+
+    let redacted = text;
+    for (const { name, pattern } of this.rules) {
+      redacted = redacted.replace(pattern, () => {
+        counts[name] = (counts[name] || 0) + 1;
+        return `[REDACTED_${name.toUpperCase()}]`;
+      });
+    }
+
+    return { text: redacted, counts };
+  }
+
+  /**
+   * Redact a post's title, body and link URL and all comment bodies. Returns a copy in which
+   * the post and every comment carry their counts as `redactions`.
+   * @param {Object} redditPost - Post from RedditFetcher
+   * @returns {Object} Redacted copy of the post
+   */
+  redactPost(redditPost) {
+    const title = this.redactText(redditPost.post.title);
+    const content = this.redactText(redditPost.post.content);
+    const link = this.redactText(redditPost.post.link_url);
+
+    // A domain that was part of a redacted URL (e.g. a Supabase project host) is dropped as well
+    const domain = link.text && !link.text.includes(redditPost.post.domain) ? null : redditPost.post.domain;
+
+    const redactComments = comments => (comments || []).map(comment => {
+      const body = this.redactText(comment.body);
+      return {
+        ...comment,
+        body: body.text,
+        redactions: body.counts,
+        replies: redactComments(comment.replies)
+      };
+    });
+
+    return {
+      ...redditPost,
+      post: {
+        ...redditPost.post,
+        title: title.text,
+        content: content.text,
+        link_url: link.text,
+        domain,
+        redactions: mergeCounts(title.counts, content.counts, link.counts)
+      },
+      comments: redactComments(redditPost.comments)
+    };
+  }
+}
+
+/**
+ * Add up counts by name, such as redactions per detector or items per topic
+ */
+export function mergeCounts(...countsList) {
+  const merged = {};
+  for (const counts of countsList) {
+    for (const [name, count] of Object.entries(counts || {})) {
+      merged[name] = (merged[name] || 0) + count;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Total redaction counts of a redacted post and all of its comments
+ */
+export function countPostRedactions(redditPost) {
+  const counts = [redditPost.post.redactions];
+  const collect = comments => (comments || []).forEach(comment => {
+    counts.push(comment.redactions);
+    collect(comment.replies);
+  });
+  collect(redditPost.comments);
+
+  return mergeCounts(...counts);
+}
@@ -0,0 +1,92 @@
+/**
+ * Word scores from -5 (very negative) to 5 (very positive), in the style of the
+ * AFINN lexicon, with extra terms for how builders talk about their tools
+ */
+const LEXICON = {
+  // Positive
+  love: 3, loved: 3, loving: 3, amazing: 4, awesome: 4, excellent: 3, fantastic: 4,
+  great: 3, good: 3, nice: 3, cool: 1, best: 3, better: 2, impressive: 3, impressed: 3,
+  incredible: 4, perfect: 3, perfectly: 3, wonderful: 4, brilliant: 4, beautiful: 3,
+  happy: 3, glad: 2, excited: 3, exciting: 3, enjoy: 2, enjoying: 2, fun: 2,
+  easy: 1, easier: 1, simple: 1, smooth: 2, fast: 1, faster: 1, quick: 1,
+  helpful: 2, useful: 2, powerful: 2, reliable: 2, stable: 2, solid: 2,
+  works: 1, worked: 1, working: 1, fixed: 2, solved: 2, recommend: 2, recommended: 2,
+  thanks: 2, thank: 2, appreciate: 2, win: 3, wow: 3, yay: 3, success: 2, successful: 2,
+  clean: 2, intuitive: 2, 'game-changer': 3, worth: 2, improved: 2, improvement: 2,
+
+  // Negative
+  bad: -3, worse: -3, worst: -3, terrible: -3, horrible: -3, awful: -3, hate: -3,
+  hated: -3, sucks: -3, useless: -2, garbage: -3, trash: -3, broken: -3, broke: -2,
+  bug: -2, bugs: -2, buggy: -2, crash: -2, crashes: -2, crashed: -2, crashing: -2,
+  error: -2, errors: -2, fail: -2, fails: -2, failed: -2, failing: -2, failure: -2,
+  issue: -1, issues: -1, problem: -2, problems: -2, stuck: -2, slow: -2, slower: -2,
+  frustrating: -3, frustrated: -3, annoying: -2, annoyed: -2, disappointed: -2,
+  disappointing: -2, confusing: -2, confused: -2, expensive: -2, overpriced: -3,
+  scam: -4, waste: -2, wasted: -2, unusable: -3, unreliable: -2, lost: -2, lose: -2,
+  angry: -3, sad: -2, worried: -2, wrong: -2, difficult: -1, hard: -1, pain: -2,
+  painful: -2, nightmare: -3, ridiculous: -3, regret: -2, refund: -1, cancel: -1,
+  cancelled: -1, down: -1, outage: -2, hallucinating: -2, hallucinates: -2, loop: -1
+};
+
+// Words that flip the score of the next scored word within NEGATION_WINDOW words
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nothing', 'without', 'hardly', 'barely',
+  "don't", "doesn't", "didn't", "isn't", "wasn't", "aren't", "weren't",
+  "can't", "cannot", "couldn't", "won't", "wouldn't", "shouldn't", "ain't"
+]);
+
+const NEGATION_WINDOW = 3;
+
+/**
+ * Split text into lowercase words, keeping apostrophes and hyphens inside words
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .match(/[a-z0-9]+(?:['-][a-z0-9]+)*/g) || [];
+}
+
+/**
+ * Scores text against a word lexicon, with simple negation handling
+ * ("not good" scores as negative). Runs locally with no external service.
+ */
+export class SentimentAnalyzer {
+  /**
+   * @param {Object} lexicon - Extra or overriding word scores, e.g. { "lovable": 0 }
+   */
+  constructor(lexicon = {}) {
+    // A Map, so words like "constructor" don't find Object.prototype members
+    this.lexicon = new Map(Object.entries({ ...LEXICON, ...lexicon }));
+  }
+
+  /**
+   * Score a piece of text
+   * @returns {Object} { score, comparative, label } where score is the sum of word scores,
+   *   comparative is the score per word, and label is 'positive', 'negative' or 'neutral'
+   */
+  analyze(text) {
+    const words = tokenize(text);
+    let score = 0;
+    let negateUntil = -1;
+
+    words.forEach((word, index) => {
+      if (NEGATIONS.has(word)) {
+        negateUntil = index + NEGATION_WINDOW;
+        return;
+      }
+
+      const wordScore = this.lexicon.get(word);
+      if (wordScore) {
+        score += index <= negateUntil ? -wordScore : wordScore;
+        negateUntil = -1;
+      }
+    });
+
+    return {
+      score,
+      comparative: words.length > 0 ? Math.round((score / words.length) * 1000) / 1000 : 0,
+      label: score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral'
+    };
+  }
+}
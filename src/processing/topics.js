@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_TAXONOMY_PATH = path.join(__dirname, '../../config/topics.json');
+
+/**
+ * Load a keyword taxonomy file: { "<topic>": ["keyword", "phrase with spaces", "prefix*"] }
+ * @param {string} taxonomyPath - Path to the file, relative to the working directory (default: config/topics.json)
+ * @returns {Object} Keywords by topic
+ */
+export function loadTaxonomy(taxonomyPath = null) {
+  const filePath = taxonomyPath ? path.resolve(taxonomyPath) : DEFAULT_TAXONOMY_PATH;
+
+  let taxonomy;
+  try {
+    taxonomy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Topic taxonomy not found at: ${filePath}`);
+    }
+    throw new Error(`Failed to load topic taxonomy: ${error.message}`);
+  }
+
+  for (const [topic, keywords] of Object.entries(taxonomy)) {
+    if (!Array.isArray(keywords)) {
+      throw new Error(`Topic "${topic}" in ${filePath} must list its keywords as an array`);
+    }
+  }
+
+  return taxonomy;
+}
+
+/**
+ * Build a case-insensitive whole-word pattern for a topic's keywords.
+ * A trailing * matches any word ending ("deploy*" matches deploy, deployed, deployment).
+ */
+function buildTopicPattern(keywords) {
+  const alternatives = keywords.map(keyword => {
+    const prefix = keyword.endsWith('*');
+    const escaped = keyword
+      .replace(/\*$/, '')
+      .trim()
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\s+/g, '\\s+');
+    return prefix ? `${escaped}\\w*` : escaped;
+  });
+
+  return new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'i');
+}
+
+/**
+ * Labels text with the topics whose keywords it mentions
+ */
+export class TopicTagger {
+  /**
+   * @param {Object} taxonomy - Keywords by topic, as returned by loadTaxonomy
+   */
+  constructor(taxonomy) {
+    this.topics = Object.entries(taxonomy)
+      .filter(([, keywords]) => keywords.length > 0)
+      .map(([topic, keywords]) => ({ topic, pattern: buildTopicPattern(keywords) }));
+  }
+
+  /**
+   * Get the topics a piece of text mentions, in taxonomy order
+   * @returns {Array} Topic names
+   */
+  tag(text) {
+    if (!text) {
+      return [];
+    }
+    return this.topics
+      .filter(({ pattern }) => pattern.test(text))
+      .map(({ topic }) => topic);
+  }
+}
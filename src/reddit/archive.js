@@ -0,0 +1,70 @@
+import axios from 'axios';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('ArchiveClient');
+
+// Public Reddit archive searchable by creation time
+const DEFAULT_ARCHIVE_URL = 'https://arctic-shift.photon-reddit.com';
+
+// Posts per archive request (the API's maximum)
+export const ARCHIVE_PAGE_SIZE = 100;
+
+/**
+ * Client for a Reddit archive that can list a subreddit's posts by creation time,
+ * which Reddit's own API no longer can (its search dropped timestamp queries).
+ * Speaks the Arctic Shift API; BACKFILL_ARCHIVE_URL points it at another instance.
+ */
+export class ArchiveClient {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || process.env.BACKFILL_ARCHIVE_URL || DEFAULT_ARCHIVE_URL;
+    this.userAgent = 'reddit-intelligence-daemon/1.0 by Ill-Basket3443';
+    this.timeout = 30000;
+    this.retries = 3;
+  }
+
+  /**
+   * List a subreddit's posts created after a time, oldest first
+   * @param {string} subreddit - Subreddit name, with or without "r/"
+   * @param {number} after - Only posts created after this time (Unix seconds)
+   * @param {number} before - Only posts created before this time (Unix seconds)
+   * @returns {Array} Raw Reddit post data (as in a listing's children[].data)
+   */
+  async searchPosts(subreddit, after, before) {
+    const params = {
+      subreddit: subreddit.replace(/^r\//, ''),
+      after,
+      before,
+      sort: 'asc',
+      limit: ARCHIVE_PAGE_SIZE
+    };
+
+    for (let attempt = 0; attempt < this.retries; attempt++) {
+      let response;
+      try {
+        response = await axios.get(`${this.baseUrl}/api/posts/search`, {
+          params,
+          headers: { 'User-Agent': this.userAgent },
+          timeout: this.timeout
+        });
+      } catch (error) {
+        // Rate limits, server and network errors are retried, other errors are not
+        const status = error.response?.status;
+        if (status && status !== 429 && status < 500) {
+          throw new Error(`Archive request failed: ${error.message}`);
+        }
+
+        const backoffTime = Math.pow(2, attempt + 1) * 1000;
+        logger.warn(`Archive request failed (${status || error.message}), retrying in ${backoffTime}ms (${attempt + 1}/${this.retries})`);
+        await new Promise(resolve => setTimeout(resolve, backoffTime));
+        continue;
+      }
+
+      if (!Array.isArray(response.data?.data)) {
+        throw new Error(`Unexpected archive response: ${JSON.stringify(response.data).substring(0, 200)}`);
+      }
+      return response.data.data;
+    }
+
+    throw new Error(`Archive request failed after ${this.retries} attempts`);
+  }
+}
@@ -1,25 +1,24 @@
 import axios from 'axios';
 import { createLogger } from '../utils/logger.js';
+import { RateLimiter, parseRateLimitHeaders } from './rateLimiter.js';
 
 const logger = createLogger('RedditClient');
 
 export class RedditClient {
-  constructor(clientId, clientSecret, subreddit) {
+  constructor(clientId, clientSecret, subreddit, options = {}) {
     this.clientId = clientId;
     this.clientSecret = clientSecret;
-    // Strip "r/" prefix if present
-    this.subreddit = subreddit.startsWith('r/') ? subreddit.substring(2) : subreddit;
-    this.subredditDisplay = subreddit; // Keep original for display purposes
+    // Strip "r/" prefix if present. A null subreddit means Reddit-wide (search channels).
+    this.subreddit = subreddit?.startsWith('r/') ? subreddit.substring(2) : subreddit;
+    this.subredditDisplay = subreddit || 'all of Reddit'; // Keep original for display purposes
     this.accessToken = null;
     this.tokenExpiry = null;
     this.userAgent = 'reddit-intelligence-daemon/1.0 by Ill-Basket3443';
     this.baseUrl = 'https://oauth.reddit.com';
     this.authUrl = 'https://www.reddit.com/api/v1/access_token';
 
-    // Rate limiting: 60 requests per minute
-    this.requestQueue = [];
-    this.lastRequestTime = 0;
-    this.minRequestInterval = 1000; // 1 second between requests to be safe
+    // Rate limiting: shared across workers when a limiter is passed in, otherwise per client
+    this.rateLimiter = options.rateLimiter || new RateLimiter();
   }
 
   /**
@@ -48,7 +47,7 @@ export class RedditClient {
       logger.info(`Authenticated successfully for ${this.subredditDisplay}`);
       return true;
     } catch (error) {
-      logger.error(`Authentication failed for ${this.subreddit}: ${error.message}`);
+      logger.error(`Authentication failed for ${this.subredditDisplay}: ${error.message}`);
       throw new Error(`Reddit authentication failed: ${error.message}`);
     }
   }
@@ -63,18 +62,22 @@ export class RedditClient {
   }
 
   /**
-   * Rate limiting implementation
+   * Wait for the rate limiter to allow the next request
    */
   async waitForRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
+    await this.rateLimiter.acquire();
+  }
 
-    if (timeSinceLastRequest < this.minRequestInterval) {
-      const waitTime = this.minRequestInterval - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
+  /**
+   * Report Reddit's rate limit headers so the limiter can adjust its pace
+   */
+  reportRateLimit(headers) {
+    if (!headers) return;
 
-    this.lastRequestTime = Date.now();
+    const info = parseRateLimitHeaders(headers);
+    if (info.remaining !== null || info.retryAfter !== null) {
+      this.rateLimiter.update(info);
+    }
   }
 
   /**
@@ -82,9 +85,10 @@ export class RedditClient {
    */
   async makeRequest(url, params = {}, retries = 3) {
     await this.ensureAuthenticated();
-    await this.waitForRateLimit();
 
     for (let attempt = 0; attempt < retries; attempt++) {
+      await this.waitForRateLimit();
+
       try {
         logger.debug(`Making request to ${url} with params: ${JSON.stringify(params)}`);
         const response = await axios.get(url, {
@@ -98,22 +102,27 @@ export class RedditClient {
           }
         });
 
+        this.reportRateLimit(response.headers);
         return response.data;
       } catch (error) {
         const status = error.response?.status;
         logger.error(`Request failed: ${error.message}, Response: ${JSON.stringify(error.response?.data)}`);
+        this.reportRateLimit(error.response?.headers);
 
-        // Handle rate limiting
+        // Handle rate limiting. Retry-After is in seconds and pauses the shared limiter;
+        // without it, back off through the limiter the same way.
         if (status === 429) {
-          const retryAfter = error.response.headers['retry-after'] || Math.pow(2, attempt) * 1000;
-          logger.warn(`Rate limited for ${this.subreddit}. Waiting ${retryAfter}ms before retry ${attempt + 1}/${retries}`);
-          await new Promise(resolve => setTimeout(resolve, retryAfter));
+          const { retryAfter } = parseRateLimitHeaders(error.response.headers);
+          if (retryAfter === null) {
+            this.rateLimiter.update({ retryAfter: Math.pow(2, attempt) });
+          }
+          logger.warn(`Rate limited for ${this.subredditDisplay}. Waiting ${retryAfter ?? Math.pow(2, attempt)}s before retry ${attempt + 1}/${retries}`);
           continue;
         }
 
         // Handle token expiry
         if (status === 401) {
-          logger.warn(`Token expired for ${this.subreddit}. Re-authenticating...`);
+          logger.warn(`Token expired for ${this.subredditDisplay}. Re-authenticating...`);
           await this.authenticate();
           continue;
         }
@@ -121,13 +130,13 @@ export class RedditClient {
         // Handle server errors with exponential backoff
         if (status >= 500) {
           const backoffTime = Math.pow(2, attempt) * 1000;
-          logger.warn(`Server error (${status}) for ${this.subreddit}. Retrying in ${backoffTime}ms (${attempt + 1}/${retries})`);
+          logger.warn(`Server error (${status}) for ${this.subredditDisplay}. Retrying in ${backoffTime}ms (${attempt + 1}/${retries})`);
           await new Promise(resolve => setTimeout(resolve, backoffTime));
           continue;
         }
 
         // Other errors - don't retry
-        logger.error(`Request failed for ${this.subreddit}: ${error.message}`);
+        logger.error(`Request failed for ${this.subredditDisplay}: ${error.message}`);
         throw error;
       }
     }
@@ -135,20 +144,50 @@ export class RedditClient {
     throw new Error(`Max retries (${retries}) exceeded for ${url}`);
   }
 
+  /**
+   * Fetch posts from a subreddit listing (new, top, hot, rising, controversial)
+   */
+  async fetchListing(sort = 'new', { time = null, limit = 100, before = null, after = null } = {}) {
+    const url = `${this.baseUrl}/r/${this.subreddit}/${sort}.json`;
+    const params = {
+      limit,
+      t: time || 'all'
+    };
+
+    if (before) params.before = before;
+    if (after) params.after = after;
+
+    logger.debug(`Fetching ${sort} posts from ${this.subredditDisplay} (limit: ${limit}, t: ${params.t}, before: ${before}, after: ${after})`);
+
+    return await this.makeRequest(url, params);
+  }
+
   /**
    * Fetch posts from subreddit sorted by new
    */
   async fetchNewPosts(limit = 100, before = null, after = null) {
-    const url = `${this.baseUrl}/r/${this.subreddit}/new.json`;
+    return await this.fetchListing('new', { limit, before, after });
+  }
+
+  /**
+   * Search posts, restricted to this client's subreddit when it has one
+   */
+  async searchPosts(query, { sort = 'new', time = null, limit = 100, after = null } = {}) {
+    const url = this.subreddit
+      ? `${this.baseUrl}/r/${this.subreddit}/search.json`
+      : `${this.baseUrl}/search.json`;
     const params = {
+      q: query,
+      sort,
+      t: time || 'all',
       limit,
-      t: 'all'
+      type: 'link'
     };
 
-    if (before) params.before = before;
+    if (this.subreddit) params.restrict_sr = 1;
     if (after) params.after = after;
 
-    logger.debug(`Fetching new posts from ${this.subreddit} (limit: ${limit}, before: ${before}, after: ${after})`);
+    logger.debug(`Searching "${query}" in ${this.subredditDisplay} (sort: ${sort}, t: ${time}, after: ${after})`);
 
     return await this.makeRequest(url, params);
   }
@@ -157,14 +196,16 @@ export class RedditClient {
    * Fetch comments for a specific post
    */
   async fetchPostComments(postId, limit = 500, depth = 10) {
-    const url = `${this.baseUrl}/r/${this.subreddit}/comments/${postId}.json`;
+    const url = this.subreddit
+      ? `${this.baseUrl}/r/${this.subreddit}/comments/${postId}.json`
+      : `${this.baseUrl}/comments/${postId}.json`;
     const params = {
       limit,
       depth,
       sort: 'top'
     };
 
-    logger.debug(`Fetching comments for post ${postId} from ${this.subreddit}`);
+    logger.debug(`Fetching comments for post ${postId} from ${this.subredditDisplay}`);
 
     return await this.makeRequest(url, params);
   }
@@ -0,0 +1,103 @@
+// Bots whose comments are boilerplate, blocked unless a channel sets defaultBots: false
+const DEFAULT_BLOCKED_AUTHORS = [
+  'AutoModerator',
+  'RemindMeBot',
+  'RepostSleuthBot',
+  'WikiSummarizerBot',
+  'sneakpeekbot',
+  'SaveVideo',
+  'savevideobot',
+  'haikusbot',
+  'B0tRank',
+  'converter-bot',
+  'LinkifyBot'
+];
+
+/**
+ * Per-channel quality rules for raw Reddit posts and comments, counting how
+ * many items each rule dropped. Config (all optional):
+ * { minScore, minBodyLength, blockedAuthors, defaultBots, flairs: { include, exclude },
+ *   skipStickied, skipNsfw, skipSpoilers }
+ */
+export class ContentFilter {
+  constructor(config = {}) {
+    this.minScore = config.minScore ?? null;
+    this.minBodyLength = config.minBodyLength ?? null;
+
+    const blocked = [...(config.defaultBots === false ? [] : DEFAULT_BLOCKED_AUTHORS), ...(config.blockedAuthors || [])];
+    this.blockedAuthors = new Set(blocked.map(author => author.toLowerCase()));
+
+    this.includeFlairs = (config.flairs?.include || []).map(flair => flair.toLowerCase());
+    this.excludeFlairs = (config.flairs?.exclude || []).map(flair => flair.toLowerCase());
+
+    this.skipStickied = config.skipStickied || false;
+    this.skipNsfw = config.skipNsfw || false;
+    this.skipSpoilers = config.skipSpoilers || false;
+
+    // Items dropped per rule
+    this.counts = {};
+
+    // A post can show up in several listings, but is only counted once
+    this.rejectedPosts = new Set();
+  }
+
+  /**
+   * Name of the first rule a raw post breaks, or null if it passes
+   */
+  checkPost(post) {
+    const flair = (post.link_flair_text || '').toLowerCase();
+
+    if (this.blockedAuthors.has((post.author || '').toLowerCase())) return 'blockedAuthor';
+    if (this.skipStickied && post.stickied) return 'stickied';
+    if (this.skipNsfw && post.over_18) return 'nsfw';
+    if (this.skipSpoilers && post.spoiler) return 'spoiler';
+    if (this.includeFlairs.length > 0 && !this.includeFlairs.includes(flair)) return 'flair';
+    if (flair && this.excludeFlairs.includes(flair)) return 'flair';
+    if (this.minScore !== null && post.score < this.minScore) return 'minScore';
+    if (this.minBodyLength !== null && post.is_self && `${post.title} ${post.selftext || ''}`.trim().length < this.minBodyLength) {
+      return 'minBodyLength';
+    }
+
+    return null;
+  }
+
+  /**
+   * Name of the first rule a raw comment breaks, or null if it passes
+   */
+  checkComment(comment) {
+    if (this.blockedAuthors.has((comment.author || '').toLowerCase())) return 'blockedAuthor';
+    if (this.minScore !== null && comment.score < this.minScore) return 'minScore';
+    if (this.minBodyLength !== null && (comment.body || '').trim().length < this.minBodyLength) return 'minBodyLength';
+
+    return null;
+  }
+
+  /**
+   * Check a raw post, counting it if rejected
+   * @returns {boolean} True if the post should be dropped
+   */
+  rejectPost(post) {
+    const rule = this.checkPost(post);
+
+    if (rule && !this.rejectedPosts.has(post.id)) {
+      this.rejectedPosts.add(post.id);
+      this.counts[rule] = (this.counts[rule] || 0) + 1;
+    }
+
+    return rule !== null;
+  }
+
+  /**
+   * Check a raw comment, counting it if rejected
+   * @returns {boolean} True if the comment should be dropped
+   */
+  rejectComment(comment) {
+    const rule = this.checkComment(comment);
+
+    if (rule) {
+      this.counts[rule] = (this.counts[rule] || 0) + 1;
+    }
+
+    return rule !== null;
+  }
+}
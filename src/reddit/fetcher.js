@@ -1,12 +1,58 @@
 import { RedditClient } from './client.js';
+import { ContentFilter } from './contentFilter.js';
+import { ArchiveClient, ARCHIVE_PAGE_SIZE } from './archive.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('RedditFetcher');
 
+// Reddit accepts at most 100 comment IDs per /api/morechildren call
+const MORE_CHILDREN_BATCH_SIZE = 100;
+
+// Reddit stops paging listings after ~1000 items and search results after ~250
+const LISTING_CEILING = 1000;
+const SEARCH_RESULT_CEILING = 250;
+
+// How far the backfill archive may lag behind Reddit; newer windows are retried on the next run
+export const ARCHIVE_LAG_SECONDS = 48 * 60 * 60;
+
+// Bodies Reddit substitutes for deleted or removed content, e.g. "[removed]", "[ Removed by Reddit ]"
+const DELETED_BODY_PATTERN = /^\[\s*(deleted|removed)(\s+by\s+[^\]]*)?\s*\]$/i;
+
 export class RedditFetcher {
-  constructor(clientId, clientSecret, subreddit) {
-    this.client = new RedditClient(clientId, clientSecret, subreddit);
+  constructor(clientId, clientSecret, subreddit, options = {}) {
+    // Search channels list /search.json instead of a subreddit's listings, optionally restricted to one subreddit
+    this.search = options.search || null;
+
+    // Subreddit listings to page through, /new only unless the channel configures more
+    this.listings = options.listings?.length > 0
+      ? options.listings
+      : [{ sort: 'new', time: null, limit: null, window: true, label: 'new' }];
+
+    const clientSubreddit = this.search ? this.search.subreddit : subreddit;
+    this.client = new RedditClient(clientId, clientSecret, clientSubreddit, { rateLimiter: options.rateLimiter });
     this.subreddit = subreddit;
+
+    // Archive listing posts by creation time, for backfills (created when first needed)
+    this.archive = options.archive || null;
+
+    // Optional "load more comments" expansion, disabled unless the channel opts in
+    this.moreComments = options.moreComments?.enabled ? {
+      maxRequestsPerPost: options.moreComments.maxRequestsPerPost ?? 5,
+      batchSize: Math.min(options.moreComments.batchSize ?? MORE_CHILDREN_BATCH_SIZE, MORE_CHILDREN_BATCH_SIZE)
+    } : null;
+
+    // Comment tree size per post ({ depth, limit }), Reddit's client defaults unless the run overrides them
+    this.comments = options.comments || {};
+
+    // Channel quality rules (score, length, bot authors, flair...), applied to posts before their comments are fetched
+    this.filter = new ContentFilter(options.filters || {});
+
+    this.stats = {
+      moreCommentsRecovered: 0,
+      moreCommentsRequests: 0,
+      incompleteListings: [],
+      filtered: this.filter.counts
+    };
   }
 
   /**
@@ -27,10 +73,42 @@ export class RedditFetcher {
     return Math.floor((now - windowMs) / 1000); // Return Unix timestamp in seconds
   }
 
+  /**
+   * Check whether a raw comment has been deleted or removed
+   */
+  isDeletedComment(comment) {
+    return comment.author === '[deleted]' || DELETED_BODY_PATTERN.test((comment.body || '').trim());
+  }
+
+  /**
+   * Check whether a raw post has been deleted or removed
+   */
+  isDeletedPost(post) {
+    return post.author === '[deleted]' || DELETED_BODY_PATTERN.test((post.selftext || '').trim());
+  }
+
+  /**
+   * Build our comment object from raw Reddit comment data
+   */
+  buildCommentObject(comment, depth) {
+    return {
+      id: comment.id,
+      author: comment.author,
+      body: comment.body,
+      score: comment.score,
+      created_utc: comment.created_utc,
+      depth: depth,
+      permalink: comment.permalink,
+      parent_id: comment.parent_id,
+      replies: []
+    };
+  }
+
   /**
    * Recursively flatten comment tree
+   * When moreStubs is provided, "load more comments" stubs are collected into it
    */
-  flattenComments(commentData, depth = 0) {
+  flattenComments(commentData, depth = 0, moreStubs = null) {
     const comments = [];
 
     if (!commentData || commentData.kind !== 'Listing') {
@@ -42,32 +120,36 @@ export class RedditFetcher {
         const comment = item.data;
 
         // Skip deleted/removed comments
-        if (comment.author === '[deleted]' || comment.body === '[deleted]' || comment.body === '[removed]') {
+        if (this.isDeletedComment(comment)) {
           continue;
         }
 
-        const commentObj = {
-          id: comment.id,
-          author: comment.author,
-          body: comment.body,
-          score: comment.score,
-          created_utc: comment.created_utc,
-          depth: depth,
-          permalink: comment.permalink,
-          parent_id: comment.parent_id,
-          replies: []
-        };
+        // Filtered comments are left out, and their replies take their place
+        if (this.filter.rejectComment(comment)) {
+          if (comment.replies && typeof comment.replies === 'object') {
+            comments.push(...this.flattenComments(comment.replies, depth, moreStubs));
+          }
+          continue;
+        }
+
+        const commentObj = this.buildCommentObject(comment, depth);
 
         // Recursively process replies
         if (comment.replies && typeof comment.replies === 'object') {
-          commentObj.replies = this.flattenComments(comment.replies, depth + 1);
+          commentObj.replies = this.flattenComments(comment.replies, depth + 1, moreStubs);
         }
 
         comments.push(commentObj);
       } else if (item.kind === 'more') {
-        // Note: We could fetch "more" comments here, but it would require additional API calls
-        // For now, we'll skip them. Could be implemented later if needed.
-        logger.debug(`Skipping ${item.data.count} more comments for performance`);
+        // "Continue this thread" stubs have no children and can't be expanded via morechildren
+        if (moreStubs && item.data.children?.length > 0) {
+          moreStubs.push({
+            parentId: item.data.parent_id,
+            children: item.data.children
+          });
+        } else {
+          logger.debug(`Skipping ${item.data.count} more comments for performance`);
+        }
       }
     }
 
@@ -75,13 +157,96 @@ export class RedditFetcher {
   }
 
   /**
-   * Extract full post data including comments
+   * Index a comment tree by comment ID so expanded comments can be attached to their parents
    */
-  async extractPostData(postData) {
-    const post = postData.data;
+  indexComments(comments, index = new Map()) {
+    for (const comment of comments) {
+      index.set(comment.id, comment);
+      if (comment.replies && comment.replies.length > 0) {
+        this.indexComments(comment.replies, index);
+      }
+    }
+    return index;
+  }
+
+  /**
+   * Resolve "load more comments" stubs via /api/morechildren and place the
+   * returned comments in the reply tree, within the per-post request cap
+   * @returns {number} Number of comments recovered
+   */
+  async expandMoreComments(postId, comments, moreStubs) {
+    const linkId = `t3_${postId}`;
+    const index = this.indexComments(comments);
+    const root = { depth: -1, replies: comments };
+    const { maxRequestsPerPost, batchSize } = this.moreComments;
+
+    const pending = moreStubs.flatMap(stub => stub.children);
+
+    let requests = 0;
+    let recovered = 0;
+
+    while (pending.length > 0 && requests < maxRequestsPerPost) {
+      const batch = pending.splice(0, batchSize);
+      requests++;
+
+      let things = [];
+      try {
+        const data = await this.client.fetchMoreComments(linkId, batch);
+        things = data?.json?.data?.things || [];
+      } catch (error) {
+        logger.error(`Failed to fetch more comments for post ${postId}: ${error.message}`);
+        continue;
+      }
+
+      // Things come back in tree order, so parents are indexed before their replies
+      for (const thing of things) {
+        const data = thing.data;
+
+        if (thing.kind === 'more') {
+          if (data.children?.length > 0) {
+            pending.push(...data.children);
+          }
+          continue;
+        }
+
+        if (thing.kind !== 't1' || this.isDeletedComment(data) || index.has(data.id)) {
+          continue;
+        }
+
+        // Top-level comments hang off the post. Replies to deleted/removed comments are dropped, matching flattenComments
+        const parent = data.parent_id === linkId ? root : index.get(data.parent_id.replace(/^t1_/, ''));
+        if (!parent) {
+          continue;
+        }
 
-    // Build the post object
-    const postObj = {
+        // Filtered comments are left out, and their replies go to the filtered comment's parent
+        if (this.filter.rejectComment(data)) {
+          index.set(data.id, parent);
+          continue;
+        }
+
+        const commentObj = this.buildCommentObject(data, parent.depth + 1);
+        parent.replies.push(commentObj);
+        index.set(commentObj.id, commentObj);
+        recovered++;
+      }
+    }
+
+    if (pending.length > 0) {
+      logger.debug(`Request cap (${maxRequestsPerPost}) reached for post ${postId}, ${pending.length} comments left unexpanded`);
+    }
+
+    this.stats.moreCommentsRequests += requests;
+    this.stats.moreCommentsRecovered += recovered;
+
+    return recovered;
+  }
+
+  /**
+   * Build our post object from raw Reddit post data
+   */
+  buildPostObject(post) {
+    return {
       id: post.id,
       title: post.title,
       author: post.author,
@@ -94,109 +259,311 @@ export class RedditFetcher {
       awards: post.all_awardings?.length || 0,
       flair: post.link_flair_text || '',
       is_self: post.is_self, // True for text posts, false for links
+      link_url: post.is_self ? null : post.url, // Target of link posts
       domain: post.domain // Domain of linked content
     };
+  }
+
+  /**
+   * Flatten the comment listing of a comments response, expanding "more" stubs if enabled
+   */
+  async extractComments(postId, commentData) {
+    let comments = [];
+
+    // commentData is an array: [0] is post, [1] is comments
+    if (commentData && commentData.length > 1) {
+      const moreStubs = this.moreComments ? [] : null;
+      comments = this.flattenComments(commentData[1], 0, moreStubs);
+
+      if (moreStubs && moreStubs.length > 0) {
+        const recovered = await this.expandMoreComments(postId, comments, moreStubs);
+        logger.debug(`Recovered ${recovered} comments from "more" stubs for post ${postId}`);
+      }
+    }
+
+    logger.debug(`Fetched ${comments.length} comments for post ${postId}`);
+    return comments;
+  }
+
+  /**
+   * Extract full post data including comments. The comments response carries the post's
+   * current state, which is used when available (archived posts can be stale).
+   * @returns {Object|null} { post, comments }, or null if the post has since been deleted
+   */
+  async extractPostData(postData) {
+    let post = postData.data;
 
     // Fetch comments for this post
     let comments = [];
     try {
-      const commentData = await this.client.fetchPostComments(post.id);
+      const commentData = await this.client.fetchPostComments(post.id, this.comments.limit, this.comments.depth);
+      const current = commentData?.[0]?.data?.children?.[0]?.data;
 
-      // commentData is an array: [0] is post, [1] is comments
-      if (commentData && commentData.length > 1) {
-        comments = this.flattenComments(commentData[1]);
+      if (current) {
+        if (this.isDeletedPost(current)) {
+          logger.debug(`Post ${post.id} has been deleted or removed since it was listed, skipping`);
+          return null;
+        }
+        post = current;
       }
 
-      logger.debug(`Fetched ${comments.length} comments for post ${post.id}`);
+      comments = await this.extractComments(post.id, commentData);
     } catch (error) {
       logger.error(`Failed to fetch comments for post ${post.id}: ${error.message}`);
     }
 
     return {
-      post: postObj,
+      post: this.buildPostObject(post),
       comments: comments
     };
   }
 
   /**
-   * Fetch posts within the specified time window
+   * Re-fetch a previously ingested post with its current score and comments
+   * @returns {Object|null} { post, comments }, or null if the post is gone
    */
-  async fetchPosts(hours = null, days = null, testMode = false) {
-    const cutoffTime = this.calculateTimeWindow(hours, days);
-    const posts = [];
+  async refreshPost(postId) {
+    await this.client.ensureAuthenticated();
+
+    const commentData = await this.client.fetchPostComments(postId, this.comments.limit, this.comments.depth);
+    const post = commentData?.[0]?.data?.children?.[0]?.data;
+
+    // Skip deleted/removed posts
+    if (!post || this.isDeletedPost(post)) {
+      return null;
+    }
+
+    return {
+      post: this.buildPostObject(post),
+      comments: await this.extractComments(postId, commentData)
+    };
+  }
+
+  /**
+   * Get the listing sources this channel pages through
+   * @returns {Array} [{ sort, time, limit, window, label, query? }]
+   */
+  getListingSources() {
+    if (this.search) {
+      return [{ sort: this.search.sort, time: this.search.time, limit: null, window: true, label: 'search', query: this.search.query }];
+    }
+
+    return this.listings;
+  }
+
+  /**
+   * Fetch one page of a listing source (subreddit listing, or search results when the source has a query)
+   */
+  async fetchListingPage(source, after = null) {
+    if (source.query) {
+      return await this.client.searchPosts(source.query, {
+        sort: source.sort,
+        time: source.time,
+        limit: 100,
+        after
+      });
+    }
+
+    return await this.client.fetchListing(source.sort, { time: source.time, limit: 100, after });
+  }
+
+  /**
+   * Whether a source that ran out of pages stopped at Reddit's result ceiling rather than
+   * at the end of the data. Removed posts are dropped from listings, so allow some slack.
+   */
+  hitResultCeiling(source, scanned) {
+    const ceiling = source.query ? SEARCH_RESULT_CEILING : LISTING_CEILING;
+    return scanned >= ceiling * 0.9;
+  }
+
+  /**
+   * Page through one listing source, adding posts inside the window to candidates
+   * (any post, for sources that don't use the window, up to their limit).
+   * Posts already collected from another source only get this source's label added.
+   * @param {Object} source - Listing source from getListingSources
+   * @param {Map} candidates - post id -> { postData, listings }
+   * @param {Object} bounds - { cutoffTime, until, checkpoint, maxPosts }
+   * @returns {Object} { reason, scanned } where reason is why paging stopped
+   */
+  async collectFromSource(source, candidates, { cutoffTime, until = Infinity, checkpoint = null, maxPosts = Infinity }) {
+    // Only newest-first sources can stop at the first post past the cutoff
+    const chronological = source.sort === 'new';
+    const sourceLimit = source.limit || Infinity;
     let after = null;
-    let beforeReachedCutoff = false;
+    let taken = 0;
+    let scanned = 0;
+
+    while (true) {
+      const data = await this.fetchListingPage(source, after);
+
+      if (!data.data.children || data.data.children.length === 0) {
+        logger.info(`No more posts available for ${this.subreddit} (${source.label})`);
+        return { reason: 'exhausted', scanned };
+      }
+
+      for (const postData of data.data.children) {
+        if (postData.kind !== 't3') { // Post
+          continue;
+        }
+
+        scanned++;
+        const postCreatedTime = postData.data.created_utc;
+
+        // Stop at the last ingested post when syncing incrementally
+        if (checkpoint && chronological && postData.data.name === checkpoint.fullname) {
+          logger.info(`Reached checkpoint ${checkpoint.fullname} for ${this.subreddit} (${source.label})`);
+          return { reason: 'checkpoint', scanned };
+        }
+
+        if (postCreatedTime > until) {
+          continue;
+        }
+
+        if (postCreatedTime < cutoffTime && source.window !== false) {
+          // Non-chronological listings can still have newer posts further down
+          if (!chronological) {
+            continue;
+          }
+
+          logger.info(`Reached posts older than cutoff time for ${this.subreddit} (${source.label})`);
+          return { reason: 'cutoff', scanned };
+        }
+
+        // Skip deleted/removed posts, and posts the channel's filters reject
+        if (this.isDeletedPost(postData.data) || this.filter.rejectPost(postData.data)) {
+          continue;
+        }
+
+        const existing = candidates.get(postData.data.id);
+        if (existing) {
+          if (!existing.listings.includes(source.label)) {
+            existing.listings.push(source.label);
+          }
+        } else {
+          // Check if we've hit the test mode limit
+          if (candidates.size >= maxPosts) {
+            logger.info(`Test mode: reached max posts limit (${maxPosts}) for ${this.subreddit}`);
+            return { reason: 'max_posts', scanned };
+          }
+
+          candidates.set(postData.data.id, { postData, listings: [source.label] });
+        }
+
+        taken++;
+        if (taken >= sourceLimit) {
+          logger.info(`Reached limit of ${sourceLimit} posts for ${this.subreddit} (${source.label})`);
+          return { reason: 'limit', scanned };
+        }
+      }
+
+      // Get the next page token
+      after = data.data.after;
+
+      // If no more pages, stop
+      if (!after) {
+        logger.info(`No more pages available for ${this.subreddit} (${source.label})`);
+        return { reason: 'exhausted', scanned };
+      }
+    }
+  }
+
+  /**
+   * Extract collected candidates into full post objects with comments, one at a time
+   */
+  async *extractPosts(candidates, metadataBase) {
+    for (const { postData, listings } of candidates.values()) {
+      // Extract full post data with comments
+      logger.debug(`Processing post ${postData.data.id}: ${postData.data.title}`);
+      const fullPostData = await this.extractPostData(postData);
+      if (!fullPostData) {
+        continue;
+      }
+
+      const metadata = {
+        fetched_at: new Date().toISOString(),
+        ...metadataBase,
+        listings
+      };
+
+      if (this.search) {
+        metadata.search_query = this.search.query;
+      }
+
+      yield {
+        id: `reddit_post_${fullPostData.post.id}`,
+        source: 'reddit',
+        // Search results can come from any subreddit
+        subreddit: this.search ? postData.data.subreddit_name_prefixed : this.subreddit,
+        post: fullPostData.post,
+        comments: fullPostData.comments,
+        metadata
+      };
+    }
+  }
+
+  /**
+   * Extract collected candidates into an array of full post objects
+   */
+  async buildPosts(candidates, metadataBase) {
+    const posts = [];
+    for await (const post of this.extractPosts(candidates, metadataBase)) {
+      posts.push(post);
+    }
+    return posts;
+  }
+
+  /**
+   * Fetch posts within the specified time window, or newer than a checkpoint when one is given
+   */
+  async fetchPosts(hours = null, days = null, testMode = false, checkpoint = null) {
+    const posts = [];
+    for await (const post of this.streamPosts(hours, days, testMode, checkpoint)) {
+      posts.push(post);
+    }
+    return posts;
+  }
+
+  /**
+   * Stream posts within the specified time window (or newer than a checkpoint), yielding
+   * each post as soon as its comments have been fetched so it can be ingested right away
+   */
+  async *streamPosts(hours = null, days = null, testMode = false, checkpoint = null) {
+    const cutoffTime = checkpoint ? checkpoint.created_utc : this.calculateTimeWindow(hours, days);
+    const timeWindow = checkpoint ? 'since_last_run' : hours ? `${hours}_hours` : `${days}_days`;
     const maxPosts = testMode ? 5 : Infinity;
 
-    logger.info(`Fetching posts from ${this.subreddit} since ${new Date(cutoffTime * 1000).toISOString()}`);
+    if (checkpoint) {
+      logger.info(`Fetching posts from ${this.subreddit} since checkpoint ${checkpoint.fullname} (${new Date(cutoffTime * 1000).toISOString()})`);
+    } else {
+      logger.info(`Fetching posts from ${this.subreddit} since ${new Date(cutoffTime * 1000).toISOString()}`);
+    }
 
     try {
       // Authenticate first
       await this.client.authenticate();
 
-      // Paginate through posts until we reach the cutoff time or max posts
-      while (!beforeReachedCutoff && posts.length < maxPosts) {
-        const data = await this.client.fetchNewPosts(100, null, after);
-
-        if (!data.data.children || data.data.children.length === 0) {
-          logger.info(`No more posts available for ${this.subreddit}`);
-          break;
-        }
-
-        for (const postData of data.data.children) {
-          if (postData.kind === 't3') { // Post
-            const postCreatedTime = postData.data.created_utc;
-
-            // Check if we've gone past our time window
-            if (postCreatedTime < cutoffTime) {
-              beforeReachedCutoff = true;
-              logger.info(`Reached posts older than cutoff time for ${this.subreddit}`);
-              break;
-            }
-
-            // Skip deleted/removed posts
-            if (postData.data.author === '[deleted]' || postData.data.selftext === '[removed]') {
-              continue;
-            }
-
-            // Extract full post data with comments
-            logger.debug(`Processing post ${postData.data.id}: ${postData.data.title}`);
-            const fullPostData = await this.extractPostData(postData);
-
-            posts.push({
-              id: `reddit_post_${fullPostData.post.id}`,
-              source: 'reddit',
-              subreddit: this.subreddit,
-              post: fullPostData.post,
-              comments: fullPostData.comments,
-              metadata: {
-                fetched_at: new Date().toISOString(),
-                time_window: hours ? `${hours}_hours` : `${days}_days`,
-                test_mode: testMode
-              }
-            });
-
-            // Check if we've hit the test mode limit
-            if (testMode && posts.length >= maxPosts) {
-              logger.info(`Test mode: reached max posts limit (${maxPosts}) for ${this.subreddit}`);
-              beforeReachedCutoff = true;
-              break;
-            }
-          }
+      // Collect posts from every listing source first, so posts listed in
+      // several sources are only extracted once
+      const candidates = new Map(); // post id -> { postData, listings }
+      for (const source of this.getListingSources()) {
+        const { reason, scanned } = await this.collectFromSource(source, candidates, { cutoffTime, checkpoint, maxPosts });
+
+        // A newest-first listing that runs out before the cutoff was cut short by Reddit
+        if (reason === 'exhausted' && source.sort === 'new' && this.hitResultCeiling(source, scanned)) {
+          logger.warn(`Listing ${source.label} for ${this.subreddit} ended after ${scanned} posts before reaching the cutoff; results are incomplete (use the backfill command for older posts)`);
+          this.stats.incompleteListings.push(source.label);
         }
+      }
 
-        // Get the next page token
-        after = data.data.after;
+      logger.info(`Found ${candidates.size} posts in ${this.subreddit}, fetching comments`);
 
-        // If no more pages, stop
-        if (!after) {
-          logger.info(`No more pages available for ${this.subreddit}`);
-          break;
-        }
+      let fetched = 0;
+      for await (const post of this.extractPosts(candidates, { time_window: timeWindow, test_mode: testMode })) {
+        fetched++;
+        yield post;
       }
 
-      logger.info(`Fetched ${posts.length} posts from ${this.subreddit}`);
-      return posts;
+      logger.info(`Fetched ${fetched} posts from ${this.subreddit}`);
 
     } catch (error) {
       logger.error(`Failed to fetch posts from ${this.subreddit}: ${error.message}`);
@@ -204,6 +571,86 @@ export class RedditFetcher {
     }
   }
 
+  /**
+   * Fetch posts created within [start, end] from the archive, for backfilling history
+   * beyond Reddit's listing ceiling. Comments and current scores come from Reddit.
+   * @param {number} start - Window start (Unix seconds)
+   * @param {number} end - Window end (Unix seconds)
+   * @returns {Object} { posts, complete, uncovered } where uncovered lists the part of the window
+   *   the archive may not have caught up with yet
+   */
+  async fetchWindow(start, end, testMode = false) {
+    const maxPosts = testMode ? 5 : Infinity;
+    const candidates = new Map();
+
+    this.archive = this.archive || new ArchiveClient();
+    await this.client.ensureAuthenticated();
+    await this.collectWindow(start, end, candidates, maxPosts);
+
+    const posts = await this.buildPosts(candidates, {
+      time_window: `backfill_${new Date(start * 1000).toISOString()}_${new Date(end * 1000).toISOString()}`,
+      test_mode: testMode
+    });
+
+    const archivedUntil = Math.floor(Date.now() / 1000) - ARCHIVE_LAG_SECONDS;
+    const uncovered = end > archivedUntil ? [{ start: Math.max(start, archivedUntil), end }] : [];
+
+    return {
+      posts,
+      complete: uncovered.length === 0,
+      uncovered
+    };
+  }
+
+  /**
+   * Collect one backfill window from the archive, oldest post first. A post created outside
+   * the requested bounds means the archive ignored them; the backfill then fails rather than
+   * recording a window it never saw.
+   */
+  async collectWindow(start, end, candidates, maxPosts) {
+    // Bounds are widened by a second, in case the archive treats them as exclusive
+    const before = end + 1;
+    let after = start - 1;
+
+    while (true) {
+      const page = await this.archive.searchPosts(this.subreddit, after, before);
+
+      for (const post of page) {
+        if (post.created_utc < after || post.created_utc > before) {
+          throw new Error(`Archive returned post ${post.id} created ${new Date(post.created_utc * 1000).toISOString()}, outside the requested window ${new Date(start * 1000).toISOString()} - ${new Date(end * 1000).toISOString()}`);
+        }
+
+        if (post.created_utc < start || post.created_utc > end || candidates.has(post.id)) {
+          continue;
+        }
+
+        // Skip deleted/removed posts, and posts the channel's filters reject
+        if (this.isDeletedPost(post) || this.filter.rejectPost(post)) {
+          continue;
+        }
+
+        if (candidates.size >= maxPosts) {
+          logger.info(`Test mode: reached max posts limit (${maxPosts}) for ${this.subreddit}`);
+          return;
+        }
+
+        candidates.set(post.id, { postData: { kind: 't3', data: post }, listings: ['backfill'] });
+      }
+
+      if (page.length < ARCHIVE_PAGE_SIZE) {
+        return;
+      }
+
+      // Page from just before the last post's second, so posts sharing it that didn't fit
+      // on this page aren't skipped; the ones already seen are dropped as repeats above
+      const last = page[page.length - 1].created_utc;
+      if (last - 1 <= after) {
+        throw new Error(`Archive paging for ${this.subreddit} stopped advancing: more than ${ARCHIVE_PAGE_SIZE} posts created at ${new Date(last * 1000).toISOString()}`);
+      }
+      after = last - 1;
+    }
+  }
+
   /**
    * Count total comments recursively
    */
@@ -0,0 +1,209 @@
+import { MessageChannel } from 'worker_threads';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('RateLimiter');
+
+/**
+ * Parse Reddit's rate limit response headers
+ * @param {Object} headers - Response headers (lowercased keys, as returned by axios)
+ * @returns {Object} { remaining, reset, retryAfter } in requests/seconds, null when absent
+ */
+export function parseRateLimitHeaders(headers = {}) {
+  const parse = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  };
+
+  return {
+    remaining: parse(headers['x-ratelimit-remaining']),
+    reset: parse(headers['x-ratelimit-reset']),
+    retryAfter: parse(headers['retry-after'])
+  };
+}
+
+/**
+ * Token bucket limiter for Reddit API requests.
+ * One instance lives in the main thread and is shared by every channel worker
+ * through MessagePorts (see createPort and RateLimiterClient), since all
+ * channels use the same Reddit client ID and therefore the same quota.
+ */
+export class RateLimiter {
+  constructor({ requestsPerMinute = 60, burst = 5 } = {}) {
+    this.capacity = burst;
+    this.tokens = burst;
+    this.refillPerMs = requestsPerMinute / 60000;
+    this.lastRefill = Date.now();
+
+    // Adjusted from response headers
+    this.pausedUntil = 0;
+    this.minInterval = 0;
+    this.lastGrant = 0;
+
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Wait until a request may be sent
+   */
+  acquire() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.processQueue();
+    });
+  }
+
+  /**
+   * Adjust pacing from Reddit's rate limit headers
+   * @param {Object} info - Output of parseRateLimitHeaders
+   */
+  update({ remaining = null, reset = null, retryAfter = null } = {}) {
+    const now = Date.now();
+
+    if (retryAfter !== null) {
+      this.pausedUntil = Math.max(this.pausedUntil, now + retryAfter * 1000);
+      logger.warn(`Reddit asked to retry after ${retryAfter}s, pausing all requests`);
+    }
+
+    if (remaining !== null && reset !== null) {
+      if (remaining < 1) {
+        this.pausedUntil = Math.max(this.pausedUntil, now + reset * 1000);
+        logger.warn(`Reddit rate limit exhausted, pausing all requests for ${reset}s`);
+      } else {
+        // Spread the remaining quota evenly over the rest of the window
+        this.minInterval = (reset * 1000) / remaining;
+      }
+    }
+
+    this.reschedule();
+  }
+
+  /**
+   * Attach a MessagePort so a worker thread can acquire tokens and report headers
+   */
+  attach(port) {
+    port.on('message', (message) => {
+      if (message.type === 'acquire') {
+        this.acquire().then(() => port.postMessage({ type: 'granted', id: message.id }));
+      } else if (message.type === 'update') {
+        this.update(message.info);
+      }
+    });
+  }
+
+  /**
+   * Create a port for a worker thread (pass it in workerData and the transferList)
+   */
+  createPort() {
+    const { port1, port2 } = new MessageChannel();
+    this.attach(port1);
+    // Stop keeping the main thread alive once the worker side has gone away
+    port1.on('close', () => port1.removeAllListeners('message'));
+    return port2;
+  }
+
+  /**
+   * Add tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Re-evaluate the queue after pacing changed
+   */
+  reschedule() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.processQueue();
+  }
+
+  /**
+   * Grant queued requests as tokens and pacing allow
+   */
+  processQueue() {
+    if (this.timer) {
+      return;
+    }
+
+    while (this.queue.length > 0) {
+      this.refill();
+
+      const now = Date.now();
+      const wait = Math.max(
+        this.pausedUntil - now,
+        this.lastGrant + this.minInterval - now,
+        this.tokens < 1 ? (1 - this.tokens) / this.refillPerMs : 0
+      );
+
+      if (wait > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.processQueue();
+        }, Math.ceil(wait));
+        return;
+      }
+
+      this.tokens -= 1;
+      this.lastGrant = now;
+      this.queue.shift()();
+    }
+  }
+}
+
+/**
+ * Worker-side handle to the shared RateLimiter, same interface as RateLimiter
+ */
+export class RateLimiterClient {
+  constructor(port) {
+    this.port = port;
+    this.nextId = 1;
+    this.pending = new Map();
+
+    this.port.on('message', (message) => {
+      if (message.type === 'granted') {
+        const resolve = this.pending.get(message.id);
+        this.pending.delete(message.id);
+        this.updateRef();
+        if (resolve) resolve();
+      }
+    });
+
+    // Only keep the worker alive while waiting for a token
+    this.port.unref();
+  }
+
+  /**
+   * Wait until the shared limiter grants a request
+   */
+  acquire() {
+    return new Promise(resolve => {
+      const id = this.nextId++;
+      this.pending.set(id, resolve);
+      this.updateRef();
+      this.port.postMessage({ type: 'acquire', id });
+    });
+  }
+
+  /**
+   * Report rate limit headers to the shared limiter
+   */
+  update(info) {
+    this.port.postMessage({ type: 'update', info });
+  }
+
+  /**
+   * Ref the port only while requests are pending
+   */
+  updateRef() {
+    if (this.pending.size > 0) {
+      this.port.ref();
+    } else {
+      this.port.unref();
+    }
+  }
+}
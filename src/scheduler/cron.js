@@ -0,0 +1,141 @@
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// Give up looking for a matching minute this far ahead (e.g. "0 0 31 2 *" never matches);
+// long enough for Feb 29 across a skipped leap year like 2100
+const MAX_SEARCH_YEARS = 9;
+
+/**
+ * Parse a value of a cron field, accepting month and weekday names
+ */
+function parseValue(value, field) {
+  const index = field.names?.indexOf(value.toLowerCase()) ?? -1;
+  const number = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(value);
+
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "mon,wed,fri") into the set of values it allows
+ * @returns {Object} { values, any } where any is true for "*" (used for day-of-month/day-of-week matching)
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name} "${part}"`);
+    }
+
+    let start, end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      [start, end] = [parseValue(from, field), parseValue(to, field)];
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid range in ${field.name} "${part}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, any: text === '*' };
+}
+
+/**
+ * A parsed 5-field cron expression (minute hour day-of-month month day-of-week),
+ * evaluated in the server's local time. Supports lists, ranges, steps, month and
+ * weekday names, and aliases like @hourly and @daily. As in standard cron, when
+ * both day fields are restricted a day matches if either does.
+ */
+export class CronExpression {
+  constructor(expression) {
+    this.expression = expression;
+    const fields = (ALIASES[expression.trim()] || expression).trim().split(/\s+/);
+
+    if (fields.length !== 5) {
+      throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday)`);
+    }
+
+    [this.minute, this.hour, this.dayOfMonth, this.month, this.dayOfWeek] = fields.map((text, index) => parseField(text, FIELDS[index]));
+
+    // 7 is another name for Sunday
+    if (this.dayOfWeek.values.has(7)) {
+      this.dayOfWeek.values.add(0);
+    }
+  }
+
+  /**
+   * Check whether a date's day matches the day-of-month and day-of-week fields
+   */
+  matchesDay(date) {
+    const dayOfMonth = this.dayOfMonth.values.has(date.getDate());
+    const dayOfWeek = this.dayOfWeek.values.has(date.getDay());
+
+    if (this.dayOfMonth.any || this.dayOfWeek.any) {
+      return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+  }
+
+  /**
+   * Get the first matching minute after a date
+   * @param {Date} after - Start of the search (exclusive)
+   * @returns {Date} Next run time
+   */
+  next(after = new Date()) {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(date.getTime());
+    limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+    while (date < limit) {
+      if (!this.month.values.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+      } else if (!this.hour.values.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+      } else if (!this.minute.values.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+      } else {
+        return date;
+      }
+    }
+
+    throw new Error(`Cron expression "${this.expression}" never matches`);
+  }
+}
@@ -0,0 +1,265 @@
+import fs from 'fs';
+import { loadChannelsConfig, getEnabledChannels } from '../config/loader.js';
+import { CronExpression } from './cron.js';
+import { resolveDataPath, readJsonFile, writeJsonFile, withFileLock } from '../storage/files.js';
+import { createLogger } from '../utils/logger.js';
+import { isProcessAlive } from '../utils/process.js';
+
+const logger = createLogger('Scheduler');
+
+// Longest sleep between checks, so config changes are picked up within a minute
+const MAX_SLEEP_MS = 60 * 1000;
+
+/**
+ * Describe a schedule's run parameters for logs and the API
+ */
+function describeParams({ hours, days, sinceLastRun, refresh }) {
+  const window = hours ? `${hours} hours` : days ? `${days} days` : null;
+  if (refresh) return `refresh ${window}`;
+  if (sinceLastRun) return window ? `since last run (first run: ${window})` : 'since last run';
+  return window;
+}
+
+/**
+ * Starts JobManager jobs on cron schedules. Each channel runs on its own
+ * `schedule` from channels.json, or on the global schedule if it has none;
+ * channels sharing a schedule run together in one job. Channels whose previous
+ * run is still going are left out of the next one.
+ *
+ * The web server and daemon may share the data directory, each with a scheduler.
+ * Only the one holding the lease file (data/scheduler/owner.json) starts jobs; the
+ * others stand by and take over once its process has stopped.
+ */
+export class Scheduler {
+  /**
+   * @param {JobManager} jobManager - Runs the scheduled jobs
+   * @param {Object} options - { schedule, configPath, sinks } where schedule is the global schedule
+   *   (parsed by parseSchedule) and sinks overrides every channel's sinks
+   */
+  constructor(jobManager, options = {}) {
+    this.jobManager = jobManager;
+    this.globalSchedule = options.schedule || null;
+    this.configPath = options.configPath || null;
+    this.sinks = options.sinks || null;
+
+    this.schedules = new Map(); // schedule id -> schedule state
+    this.timer = null;
+
+    this.leasePath = resolveDataPath('scheduler', 'owner.json');
+    this.isOwner = null; // Unknown until the lease is first claimed
+  }
+
+  /**
+   * Take the lease unless another live process holds it
+   * @returns {boolean} True if this process runs the schedules
+   */
+  claimLease() {
+    let owner;
+    try {
+      owner = withFileLock(this.leasePath, () => {
+        const current = readJsonFile(this.leasePath);
+        if (current?.pid && current.pid !== process.pid && isProcessAlive(current.pid)) {
+          return current;
+        }
+
+        const lease = current?.pid === process.pid ? current : { pid: process.pid, since: new Date().toISOString() };
+        writeJsonFile(this.leasePath, lease);
+        return lease;
+      });
+    } catch (error) {
+      logger.error(`Failed to check the scheduler lease, not starting jobs: ${error.message}`);
+      this.isOwner = false;
+      return false;
+    }
+
+    const isOwner = owner.pid === process.pid;
+    if (isOwner !== this.isOwner) {
+      if (isOwner) {
+        logger.info('Running the schedules in this process');
+      } else {
+        logger.info(`Schedules are run by process ${owner.pid}; standing by until it stops`);
+      }
+    }
+
+    this.isOwner = isOwner;
+    return isOwner;
+  }
+
+  /**
+   * Give up the lease, so another process can take over right away
+   */
+  releaseLease() {
+    if (!this.isOwner) return;
+
+    withFileLock(this.leasePath, () => {
+      if (readJsonFile(this.leasePath)?.pid === process.pid) {
+        fs.rmSync(this.leasePath, { force: true });
+      }
+    });
+    this.isOwner = false;
+  }
+
+  /**
+   * Load the schedules and start checking them
+   */
+  start() {
+    this.reload();
+    this.claimLease();
+
+    if (this.schedules.size === 0) {
+      logger.warn('No schedules configured; checking channels.json for new ones every minute');
+    }
+    for (const schedule of this.schedules.values()) {
+      logger.info(`Schedule "${schedule.id}": ${schedule.channels.map(ch => ch.subreddit).join(', ')}, next run ${schedule.nextRunAt.toISOString()}`);
+    }
+
+    this.scheduleTick();
+  }
+
+  /**
+   * Stop checking schedules and release the lease; running jobs are not affected
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.releaseLease();
+  }
+
+  /**
+   * Rebuild the schedules from channels.json, keeping the state of schedules that didn't change
+   */
+  reload() {
+    let channels;
+    try {
+      channels = getEnabledChannels(loadChannelsConfig(this.configPath));
+    } catch (error) {
+      logger.error(`Failed to reload channels, keeping current schedules: ${error.message}`);
+      return;
+    }
+
+    const schedules = new Map();
+    const now = new Date();
+
+    for (const channel of channels) {
+      const config = channel.schedule || this.globalSchedule;
+      if (!config) continue;
+
+      const id = `${config.cron} | ${describeParams(config)}`;
+      if (!schedules.has(id)) {
+        const existing = this.schedules.get(id);
+        let cron, nextRunAt;
+
+        // One bad schedule must not stop the others
+        try {
+          cron = new CronExpression(config.cron);
+          nextRunAt = existing?.nextRunAt || cron.next(now);
+        } catch (error) {
+          logger.error(`Schedule "${id}" is invalid, skipping ${channel.subreddit}: ${error.message}`);
+          continue;
+        }
+
+        schedules.set(id, {
+          id,
+          cron,
+          params: config,
+          channels: [],
+          nextRunAt,
+          lastRunAt: existing?.lastRunAt || null,
+          lastJobId: existing?.lastJobId || null,
+          lastSkipped: existing?.lastSkipped || []
+        });
+      }
+      schedules.get(id).channels.push(channel);
+    }
+
+    this.schedules = schedules;
+  }
+
+  /**
+   * Sleep until the next run is due (or at most a minute), then check again
+   */
+  scheduleTick() {
+    const nextRuns = [...this.schedules.values()].map(schedule => schedule.nextRunAt.getTime());
+    const delay = Math.min(MAX_SLEEP_MS, ...nextRuns.map(time => time - Date.now()));
+
+    this.timer = setTimeout(() => this.tick(), Math.max(0, delay));
+  }
+
+  /**
+   * Run every schedule that is due, if this process holds the lease. Due runs
+   * are passed over while standing by, so a takeover doesn't start a backlog.
+   */
+  tick() {
+    this.reload();
+    const now = new Date();
+
+    const isOwner = this.claimLease();
+
+    for (const schedule of this.schedules.values()) {
+      if (schedule.nextRunAt > now) continue;
+
+      try {
+        if (isOwner) this.run(schedule);
+      } catch (error) {
+        logger.error(`Schedule "${schedule.id}" failed to start a job: ${error.message}`);
+      }
+
+      try {
+        schedule.nextRunAt = schedule.cron.next(now);
+      } catch (error) {
+        logger.error(`Schedule "${schedule.id}" has no next run, dropping it: ${error.message}`);
+        this.schedules.delete(schedule.id);
+      }
+    }
+
+    this.scheduleTick();
+  }
+
+  /**
+   * Start a job for a schedule's channels, leaving out channels that are still running
+   */
+  run(schedule) {
+    const running = this.jobManager.getRunningChannels();
+    const channels = schedule.channels.filter(channel => !running.has(channel.subreddit));
+
+    schedule.lastRunAt = new Date();
+    schedule.lastSkipped = schedule.channels
+      .filter(channel => running.has(channel.subreddit))
+      .map(channel => channel.subreddit);
+
+    if (schedule.lastSkipped.length > 0) {
+      logger.warn(`Schedule "${schedule.id}": skipping ${schedule.lastSkipped.join(', ')}, previous run still in progress`);
+    }
+
+    if (channels.length === 0) {
+      return;
+    }
+
+    const { hours, days, sinceLastRun, refresh } = schedule.params;
+    const jobId = this.jobManager.createJob(channels, hours, days, false, sinceLastRun, refresh, this.sinks);
+    schedule.lastJobId = jobId;
+
+    logger.info(`Schedule "${schedule.id}": started job ${jobId} for ${channels.map(ch => ch.subreddit).join(', ')}`);
+
+    this.jobManager.startJob(jobId, channels).catch(error => {
+      logger.error(`Scheduled job ${jobId} failed: ${error.message}`);
+    });
+  }
+
+  /**
+   * Get the schedules with their next run times
+   * @returns {Array} [{ id, cron, params, channels, nextRunAt, lastRunAt, lastJobId, lastSkipped }]
+   */
+  getSchedules() {
+    return [...this.schedules.values()].map(schedule => ({
+      id: schedule.id,
+      cron: schedule.params.cron,
+      params: schedule.params,
+      channels: schedule.channels.map(channel => channel.subreddit),
+      nextRunAt: schedule.nextRunAt.toISOString(),
+      lastRunAt: schedule.lastRunAt?.toISOString() || null,
+      lastJobId: schedule.lastJobId,
+      lastSkipped: schedule.lastSkipped
+    }));
+  }
+}
@@ -0,0 +1,122 @@
+import { IngestorSink } from './ingestorSink.js';
+import { JsonlSink } from './jsonlSink.js';
+import { WebhookSink } from './webhookSink.js';
+
+/**
+ * Output sinks. A sink is an object with:
+ *   name                              - Used in logs and dead-letter entries
+ *   async open()                      - Check the destination is reachable, returns a boolean
+ *   async send(items, testMode, ctx)  - Send items ({ channel, postId } in ctx), returns one
+ *                                       { success, id, error?, errorType?, status?, attempts? } per item
+ */
+export const SINK_TYPES = ['ingestor', 'jsonl', 'webhook'];
+
+export const DEFAULT_SINKS = [{ type: 'ingestor', name: 'ingestor' }];
+
+/**
+ * Parse sink configuration from channels.json, a job or the CLI
+ * Accepts type names ("jsonl") or objects ({ "type": "webhook", "url": "...", "headers": {...} })
+ * @param {Array|string} sinks - Sink list, or a comma-separated string of types
+ * @returns {Array} [{ type, name, ...options }]
+ */
+export function parseSinkConfigs(sinks) {
+  if (sinks === undefined || sinks === null) {
+    return DEFAULT_SINKS;
+  }
+
+  const list = typeof sinks === 'string' ? sinks.split(',').map(type => type.trim()).filter(Boolean) : sinks;
+
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('sinks must be a non-empty list');
+  }
+
+  const configs = list.map(sink => {
+    const config = typeof sink === 'string' ? { type: sink } : { ...sink };
+
+    if (!SINK_TYPES.includes(config.type)) {
+      throw new Error(`unknown sink type "${config.type}" (expected ${SINK_TYPES.join(', ')})`);
+    }
+
+    config.name = config.name || config.type;
+    return config;
+  });
+
+  const names = configs.map(config => config.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`duplicate sink name "${duplicate}", give each sink of the same type a name`);
+  }
+
+  return configs;
+}
+
+/**
+ * Check whether any of the sink configs sends to the ingestor without its own token
+ */
+export function needsIngestorToken(sinkConfigs) {
+  return sinkConfigs.some(config => config.type === 'ingestor' && !config.token);
+}
+
+/**
+ * Sends every item to several sinks at once. An item only counts as sent when
+ * every sink accepted it; failures name the sinks that rejected it.
+ */
+export class FanoutSink {
+  constructor(sinks) {
+    this.sinks = sinks;
+    this.name = sinks.map(sink => sink.name).join('+');
+  }
+
+  async open() {
+    const results = await Promise.all(this.sinks.map(sink => sink.open()));
+    return results.every(Boolean);
+  }
+
+  async send(items, testMode = false, context = {}) {
+    const sinkResults = await Promise.all(this.sinks.map(sink => sink.send(items, testMode, context)));
+
+    return items.map((item, index) => {
+      const failures = this.sinks
+        .map((sink, sinkIndex) => ({ sink, result: sinkResults[sinkIndex][index] }))
+        .filter(({ result }) => !result.success);
+
+      if (failures.length === 0) {
+        return { success: true, id: item.id };
+      }
+
+      return {
+        success: false,
+        id: item.id,
+        error: failures.map(({ sink, result }) => `${sink.name}: ${result.error}`).join('; '),
+        errorType: failures[0].result.errorType,
+        status: failures[0].result.status,
+        attempts: Math.max(...failures.map(({ result }) => result.attempts || 1)),
+        details: failures[0].result.details,
+        sinks: failures.map(({ sink }) => sink.name)
+      };
+    });
+  }
+}
+
+/**
+ * Create the sink for a channel from its sink configs
+ * @param {Array} sinkConfigs - Output of parseSinkConfigs
+ * @param {string} channel - Channel name (used by the JSONL sink's file name)
+ * @returns {Object} A sink, or a FanoutSink when there are several
+ */
+export function createSink(sinkConfigs, channel) {
+  const sinks = sinkConfigs.map(config => {
+    switch (config.type) {
+      case 'ingestor':
+        return new IngestorSink(config);
+      case 'jsonl':
+        return new JsonlSink(config, channel);
+      case 'webhook':
+        return new WebhookSink(config);
+      default:
+        throw new Error(`Unknown sink type: ${config.type}`);
+    }
+  });
+
+  return sinks.length === 1 ? sinks[0] : new FanoutSink(sinks);
+}
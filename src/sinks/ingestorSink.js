@@ -0,0 +1,258 @@
+import axios from 'axios';
+import { createLogger } from '../utils/logger.js';
+import { AdaptiveLimiter } from '../ingestion/adaptiveLimiter.js';
+
+const logger = createLogger('IngestorSink');
+
+const DEFAULT_INGESTOR_URL = 'https://intelligence-ingestor-production.up.railway.app';
+
+/**
+ * Sink for the intelligence ingestor's HTTP API (POST /ingest, POST /ingest/batch).
+ * Config: { url, token, concurrency, batchSize, batch }, defaulting to the
+ * VECTORDB_* environment variables.
+ */
+export class IngestorSink {
+  constructor(config = {}) {
+    this.name = config.name || 'ingestor';
+    this.apiUrl = config.url || process.env.VECTORDB_API_URL || DEFAULT_INGESTOR_URL;
+    this.authToken = config.token || process.env.VECTORDB_API_TOKEN;
+    this.batchSize = config.batchSize || parseInt(process.env.VECTORDB_BATCH_SIZE) || 10; // Items per batch request
+    this.maxRetries = 3;
+
+    // Concurrent ingest calls, throttled down when the ingestor returns 429/5xx
+    this.limiter = new AdaptiveLimiter({
+      maxConcurrency: config.concurrency || parseInt(process.env.VECTORDB_CONCURRENCY) || 4
+    });
+
+    // Batch endpoint support: null until the first batch call tells us, false to never try
+    this.batchSupported = config.batch === false || process.env.VECTORDB_BATCH === 'false' ? false : null;
+
+    if (!this.authToken) {
+      throw new Error('Vector DB API token is required. Set VECTORDB_API_TOKEN environment variable.');
+    }
+  }
+
+  /**
+   * Send items in batches of batchSize, with batches (or single calls) running concurrently
+   * @returns {Array} One result per item, in order
+   */
+  async send(items, testMode = false) {
+    const groups = [];
+    for (let i = 0; i < items.length; i += this.batchSize) {
+      groups.push(items.slice(i, i + this.batchSize));
+    }
+
+    const groupResults = await Promise.all(groups.map(group => this.ingestGroup(group, testMode)));
+    return groupResults.flat();
+  }
+
+  /**
+   * Ingest a single item into the vector database
+   */
+  async ingestItem(item, testMode = false) {
+    const url = `${this.apiUrl}/ingest?test=${testMode}`;
+    let lastStatus = null;
+
+    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+      try {
+        const response = await axios.post(url, item, {
+          headers: {
+            'Authorization': `Bearer ${this.authToken}`,
+            'Content-Type': 'application/json'
+          }
+        });
+
+        this.limiter.succeed();
+        logger.debug(`Ingested ${item.isComment ? 'comment' : 'post'} ${item.id}: ${response.data.base_id}`);
+        return {
+          success: true,
+          id: item.id,
+          chromaId: response.data.base_id,
+          chunks: response.data.chunks_created
+        };
+
+      } catch (error) {
+        const status = error.response?.status;
+
+        // Handle authentication errors
+        if (status === 401 || status === 403) {
+          logger.error(`Authentication failed for Vector DB: ${error.message}`);
+          throw new Error('Vector DB authentication failed. Check your API token.');
+        }
+
+        // Handle validation errors
+        if (status === 422) {
+          logger.error(`Validation error for item ${item.id}: ${JSON.stringify(error.response.data)}`);
+          return {
+            success: false,
+            id: item.id,
+            error: 'Validation error',
+            errorType: 'validation',
+            status,
+            attempts: attempt + 1,
+            details: error.response.data
+          };
+        }
+
+        // Handle rate limiting or server errors with exponential backoff
+        if (status === 429 || status >= 500) {
+          const backoffTime = Math.pow(2, attempt) * 1000;
+          lastStatus = status;
+          this.limiter.backoff();
+          logger.warn(`Server error (${status}) for item ${item.id}. Retrying in ${backoffTime}ms (${attempt + 1}/${this.maxRetries})`);
+          await new Promise(resolve => setTimeout(resolve, backoffTime));
+          continue;
+        }
+
+        // Other errors
+        logger.error(`Failed to ingest item ${item.id}: ${error.message}`);
+        return {
+          success: false,
+          id: item.id,
+          error: error.message,
+          errorType: status ? 'request' : 'network',
+          status: status || null,
+          attempts: attempt + 1
+        };
+      }
+    }
+
+    return {
+      success: false,
+      id: item.id,
+      error: `Max retries (${this.maxRetries}) exceeded`,
+      errorType: lastStatus === 429 ? 'rate_limited' : 'server_error',
+      status: lastStatus,
+      attempts: this.maxRetries
+    };
+  }
+
+  /**
+   * Ingest several items with one call to the ingestor's batch endpoint
+   * @returns {Array|null} Per-item results, null for items the response has no result for,
+   * or null if the ingestor has no batch endpoint
+   */
+  async ingestBatch(items, testMode = false) {
+    const url = `${this.apiUrl}/ingest/batch?test=${testMode}`;
+
+    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+      try {
+        const response = await axios.post(url, { items }, {
+          headers: {
+            'Authorization': `Bearer ${this.authToken}`,
+            'Content-Type': 'application/json'
+          }
+        });
+
+        this.batchSupported = true;
+        this.limiter.succeed();
+
+        const itemResults = Array.isArray(response.data?.results) ? response.data.results : [];
+        logger.debug(`Ingested batch of ${items.length} items`);
+
+        if (itemResults.length !== items.length) {
+          logger.warn(`Batch response has ${itemResults.length} results for ${items.length} items, retrying the rest one at a time`);
+        }
+
+        return items.map((item, index) => {
+          const itemResult = itemResults[index];
+
+          // No result means no confirmation the item was ingested
+          if (!itemResult) {
+            return null;
+          }
+
+          if (itemResult.status === 'error') {
+            return {
+              success: false,
+              id: item.id,
+              error: itemResult.error || 'Batch item failed',
+              errorType: 'validation',
+              attempts: attempt + 1,
+              details: itemResult.details
+            };
+          }
+
+          return {
+            success: true,
+            id: item.id,
+            chromaId: itemResult.base_id,
+            chunks: itemResult.chunks_created
+          };
+        });
+
+      } catch (error) {
+        const status = error.response?.status;
+
+        // No batch endpoint: remember and let the caller fall back to single calls
+        if (status === 404 || status === 405 || status === 501) {
+          if (this.batchSupported !== false) {
+            logger.info('Vector DB has no batch endpoint, ingesting items one at a time');
+          }
+          this.batchSupported = false;
+          return null;
+        }
+
+        // Handle authentication errors
+        if (status === 401 || status === 403) {
+          logger.error(`Authentication failed for Vector DB: ${error.message}`);
+          throw new Error('Vector DB authentication failed. Check your API token.');
+        }
+
+        // Handle rate limiting or server errors with exponential backoff
+        if (status === 429 || status >= 500) {
+          const backoffTime = Math.pow(2, attempt) * 1000;
+          this.limiter.backoff();
+          logger.warn(`Server error (${status}) for batch of ${items.length} items. Retrying in ${backoffTime}ms (${attempt + 1}/${this.maxRetries})`);
+          await new Promise(resolve => setTimeout(resolve, backoffTime));
+          continue;
+        }
+
+        // Validation or other errors: retry the items one by one to isolate the bad ones
+        logger.warn(`Batch ingestion failed (${error.message}), retrying items one at a time`);
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Ingest a group of items through the batch endpoint when available, else one call per item
+   */
+  async ingestGroup(items, testMode) {
+    if (items.length > 1 && this.batchSupported !== false) {
+      const batchResults = await this.limiter.run(() => this.ingestBatch(items, testMode));
+      if (batchResults) {
+        // Items the batch response did not cover are sent again on their own; the ingestor upserts by ID
+        return await Promise.all(batchResults.map((result, index) =>
+          result || this.limiter.run(() => this.ingestItem(items[index], testMode))
+        ));
+      }
+    }
+
+    return await Promise.all(items.map(item =>
+      this.limiter.run(() => this.ingestItem(item, testMode))
+    ));
+  }
+
+  /**
+   * Test the Vector DB connection
+   * @returns {boolean} True if the ingestor reports itself healthy
+   */
+  async open() {
+    try {
+      const response = await axios.get(`${this.apiUrl}/health`, {
+        headers: {
+          'Authorization': `Bearer ${this.authToken}`
+        }
+      });
+
+      logger.info(`Vector DB connection test: ${response.data.status}`);
+      return response.data.status === 'healthy';
+    } catch (error) {
+      logger.error(`Vector DB connection test failed: ${error.message}`);
+      return false;
+    }
+  }
+}
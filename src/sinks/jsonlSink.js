@@ -0,0 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+import { resolveDataPath } from '../storage/files.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('JsonlSink');
+
+/**
+ * Sink that appends items to a local JSONL (NDJSON) file, one line per item:
+ * { channel, postId, testMode, writtenAt, item }.
+ * Config: { path } where "{channel}" is replaced with the channel name;
+ * defaults to data/output/<channel>.jsonl so each worker writes its own file.
+ */
+export class JsonlSink {
+  constructor(config = {}, channel = 'default') {
+    this.name = config.name || 'jsonl';
+    const channelName = channel.replace(/^r\//, '').replace(/[^A-Za-z0-9_-]/g, '_');
+
+    this.filePath = config.path
+      ? path.resolve(config.path.replace('{channel}', channelName))
+      : resolveDataPath('output', `${channelName}.jsonl`);
+  }
+
+  /**
+   * Make sure the output directory exists
+   */
+  async open() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      logger.info(`Writing items to ${this.filePath}`);
+      return true;
+    } catch (error) {
+      logger.error(`Cannot write to ${this.filePath}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Append items as JSON lines
+   * @returns {Array} One result per item, in order
+   */
+  async send(items, testMode = false, context = {}) {
+    const writtenAt = new Date().toISOString();
+    const lines = items.map(item => JSON.stringify({
+      channel: context.channel || null,
+      postId: context.postId || null,
+      testMode,
+      writtenAt,
+      item
+    }) + '\n');
+
+    try {
+      // One append per post keeps a post's lines together
+      fs.appendFileSync(this.filePath, lines.join(''));
+      return items.map(item => ({ success: true, id: item.id }));
+    } catch (error) {
+      logger.error(`Failed to append to ${this.filePath}: ${error.message}`);
+      return items.map(item => ({
+        success: false,
+        id: item.id,
+        error: error.message,
+        errorType: 'io',
+        attempts: 1
+      }));
+    }
+  }
+}
@@ -0,0 +1,108 @@
+import axios from 'axios';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('WebhookSink');
+
+/**
+ * Sink that POSTs items to a generic HTTP endpoint as JSON:
+ * { channel, postId, testMode, items }, with up to batchSize items per request.
+ * Config: { url, headers, batchSize, timeout }. The URL defaults to WEBHOOK_URL, and
+ * header values may reference environment variables as "${NAME}" to keep secrets
+ * out of channels.json.
+ */
+export class WebhookSink {
+  constructor(config = {}) {
+    this.name = config.name || 'webhook';
+    this.url = config.url || process.env.WEBHOOK_URL;
+    this.headers = Object.fromEntries(
+      Object.entries(config.headers || {}).map(([key, value]) => [
+        key,
+        String(value).replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '')
+      ])
+    );
+    this.batchSize = config.batchSize || 100;
+    this.timeout = config.timeout || 30000;
+    this.maxRetries = 3;
+
+    if (!this.url) {
+      throw new Error('Webhook sink requires a url (or the WEBHOOK_URL environment variable)');
+    }
+  }
+
+  /**
+   * Webhooks have no standard health check, so only the configuration is checked
+   */
+  async open() {
+    logger.info(`Sending items to webhook ${new URL(this.url).host}`);
+    return true;
+  }
+
+  /**
+   * POST items in batches of batchSize
+   * @returns {Array} One result per item, in order
+   */
+  async send(items, testMode = false, context = {}) {
+    const results = [];
+
+    for (let i = 0; i < items.length; i += this.batchSize) {
+      const batch = items.slice(i, i + this.batchSize);
+      const failure = await this.post({
+        channel: context.channel || null,
+        postId: context.postId || null,
+        testMode,
+        items: batch
+      });
+
+      results.push(...batch.map(item => failure
+        ? { ...failure, success: false, id: item.id }
+        : { success: true, id: item.id }
+      ));
+    }
+
+    return results;
+  }
+
+  /**
+   * POST one payload, retrying 429/5xx responses and network errors with exponential backoff
+   * @returns {Object|null} Failure { error, errorType, status, attempts } or null on success
+   */
+  async post(payload) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+      try {
+        await axios.post(this.url, payload, {
+          headers: { 'Content-Type': 'application/json', ...this.headers },
+          timeout: this.timeout
+        });
+
+        logger.debug(`Sent ${payload.items.length} items to webhook`);
+        return null;
+
+      } catch (error) {
+        const status = error.response?.status;
+
+        if (status && status !== 429 && status < 500) {
+          logger.error(`Webhook rejected ${payload.items.length} items (${status}): ${error.message}`);
+          return {
+            error: error.message,
+            errorType: status === 422 || status === 400 ? 'validation' : 'request',
+            status,
+            attempts: attempt + 1
+          };
+        }
+
+        lastError = {
+          error: error.message,
+          errorType: status === 429 ? 'rate_limited' : status ? 'server_error' : 'network',
+          status: status || null
+        };
+        const backoffTime = Math.pow(2, attempt) * 1000;
+        logger.warn(`Webhook error (${status || error.message}). Retrying in ${backoffTime}ms (${attempt + 1}/${this.maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, backoffTime));
+      }
+    }
+
+    return { ...lastError, attempts: this.maxRetries };
+  }
+}
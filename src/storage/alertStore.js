@@ -0,0 +1,119 @@
+import { resolveDataPath, readJsonFile, writeJsonFile, withFileLock } from './files.js';
+
+// Alerts kept in the log for the web UI, newest last
+const MAX_ALERTS = 500;
+
+// How long a rule stays silent for a post it already alerted on
+const SUPPRESS_DAYS = 90;
+
+/**
+ * Log of watchlist alerts, and of which rule already alerted on which post so
+ * repeats can be suppressed. Unlike the per-channel stores it is a single file,
+ * written by every main process that handles alerts (web server, daemon, CLI runs)
+ * as workers report them. Saving re-reads the file under a lock and merges in
+ * this process's alerts, so processes don't overwrite each other's; reads pick
+ * up alerts the others saved.
+ */
+export class AlertStore {
+  constructor(namespace = 'alerts') {
+    this.filePath = resolveDataPath(namespace, 'alerts.json');
+    this.data = readJsonFile(this.filePath, { alerted: {}, alerts: [] });
+    this.recorded = new Map(); // alert id -> alerts this process recorded, whose delivery status it updates
+  }
+
+  /**
+   * Key identifying an alert for suppression: one per rule per post
+   */
+  static getKey(alert) {
+    return `${alert.channel}|${alert.rule}|${alert.postId}`;
+  }
+
+  /**
+   * Key identifying one alert in the log
+   */
+  static getId(alert) {
+    return `${AlertStore.getKey(alert)}|${alert.alertedAt}`;
+  }
+
+  /**
+   * Merge this process's alerts into the store's contents on disk
+   */
+  merge(stored) {
+    const alerted = { ...stored.alerted, ...this.data.alerted };
+    const ids = new Set(stored.alerts.map(AlertStore.getId));
+    const alerts = stored.alerts
+      .map(alert => this.recorded.get(AlertStore.getId(alert)) || alert)
+      .concat([...this.recorded.values()].filter(alert => !ids.has(AlertStore.getId(alert))))
+      .sort((a, b) => a.alertedAt.localeCompare(b.alertedAt));
+
+    return { alerted, alerts };
+  }
+
+  /**
+   * Pick up alerts other processes saved since this process last read the file
+   */
+  reload() {
+    this.data = this.merge(readJsonFile(this.filePath, { alerted: {}, alerts: [] }));
+  }
+
+  /**
+   * Check whether this rule already alerted on this post, in any process
+   */
+  has(alert) {
+    this.reload();
+    return Boolean(this.data.alerted[AlertStore.getKey(alert)]);
+  }
+
+  /**
+   * Add an alert to the log and remember it for suppression
+   */
+  record(alert) {
+    this.data.alerted[AlertStore.getKey(alert)] = alert.alertedAt;
+    this.data.alerts.push(alert);
+    this.recorded.set(AlertStore.getId(alert), alert);
+  }
+
+  /**
+   * Get logged alerts, newest first
+   * @param {Object} filters - { channel, limit }
+   */
+  getAlerts({ channel, limit } = {}) {
+    this.reload();
+    const alerts = this.data.alerts
+      .filter(alert => !channel || alert.channel === channel)
+      .reverse();
+    return limit ? alerts.slice(0, limit) : alerts;
+  }
+
+  /**
+   * Merge with the file under a lock, forget suppression keys older than SUPPRESS_DAYS,
+   * keep the newest MAX_ALERTS alerts and write the store to disk
+   */
+  save() {
+    withFileLock(this.filePath, () => {
+      const data = this.merge(readJsonFile(this.filePath, { alerted: {}, alerts: [] }));
+
+      const cutoff = new Date(Date.now() - SUPPRESS_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      for (const [key, alertedAt] of Object.entries(data.alerted)) {
+        if (alertedAt < cutoff) {
+          delete data.alerted[key];
+        }
+      }
+
+      if (data.alerts.length > MAX_ALERTS) {
+        data.alerts.splice(0, data.alerts.length - MAX_ALERTS);
+      }
+
+      writeJsonFile(this.filePath, data);
+      this.data = data;
+    });
+
+    // Alerts still being delivered are saved again with their delivery status
+    const kept = new Set(this.data.alerts.map(AlertStore.getId));
+    for (const [id, alert] of this.recorded) {
+      if (alert.delivery !== 'pending' || !kept.has(id)) {
+        this.recorded.delete(id);
+      }
+    }
+  }
+}
@@ -0,0 +1,63 @@
+import { resolveDataPath, readJsonFile, writeJsonFile } from './files.js';
+
+/**
+ * Persists backfill progress per subreddit so an interrupted backfill resumes
+ * from the windows it has not finished yet. Windows are keyed by their bounds,
+ * which are aligned to fixed boundaries so different runs share them.
+ */
+export class BackfillStore {
+  constructor(namespace = 'backfill') {
+    this.namespace = namespace;
+  }
+
+  /**
+   * Get the progress file path for a subreddit
+   */
+  getFilePath(subreddit) {
+    const name = subreddit.replace(/^r\//, '').replace(/[^A-Za-z0-9_-]/g, '_');
+    return resolveDataPath(this.namespace, `${name}.json`);
+  }
+
+  /**
+   * Get the recorded windows for a subreddit
+   * @returns {Object} { windows: { "start-end": { start, end, posts, complete, uncovered, completedAt } } }
+   */
+  get(subreddit) {
+    return readJsonFile(this.getFilePath(subreddit), { windows: {} });
+  }
+
+  /**
+   * Check whether a window has already been processed
+   */
+  isDone(subreddit, window) {
+    return Boolean(this.get(subreddit).windows[`${window.start}-${window.end}`]);
+  }
+
+  /**
+   * Record a processed window
+   * @param {string} subreddit - Subreddit name
+   * @param {Object} window - { start, end } in Unix seconds
+   * @param {Object} result - { posts, complete, uncovered }
+   */
+  recordWindow(subreddit, window, result) {
+    const state = this.get(subreddit);
+
+    state.windows[`${window.start}-${window.end}`] = {
+      start: window.start,
+      end: window.end,
+      posts: result.posts,
+      complete: result.complete,
+      uncovered: result.uncovered,
+      completedAt: new Date().toISOString()
+    };
+
+    writeJsonFile(this.getFilePath(subreddit), state);
+  }
+
+  /**
+   * Discard all recorded progress for a subreddit
+   */
+  reset(subreddit) {
+    writeJsonFile(this.getFilePath(subreddit), { windows: {} });
+  }
+}
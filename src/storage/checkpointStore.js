@@ -0,0 +1,56 @@
+import { resolveDataPath, readJsonFile, writeJsonFile } from './files.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CheckpointStore');
+
+/**
+ * Persists the newest ingested post per subreddit so runs can resume where the last one stopped.
+ * Each subreddit gets its own file, so channel workers never write to the same file.
+ */
+export class CheckpointStore {
+  constructor(namespace = 'checkpoints') {
+    this.namespace = namespace;
+  }
+
+  /**
+   * Get the checkpoint file path for a subreddit
+   */
+  getFilePath(subreddit) {
+    const name = subreddit.replace(/^r\//, '').replace(/[^A-Za-z0-9_-]/g, '_');
+    return resolveDataPath(this.namespace, `${name}.json`);
+  }
+
+  /**
+   * Get the checkpoint for a subreddit
+   * @returns {Object|null} { fullname, created_utc, updated_at } or null if none recorded
+   */
+  get(subreddit) {
+    return readJsonFile(this.getFilePath(subreddit));
+  }
+
+  /**
+   * Advance the checkpoint for a subreddit. Older posts never move it backwards.
+   * @param {string} subreddit - Subreddit name
+   * @param {Object} post - Post object with id and created_utc
+   * @returns {boolean} True if the checkpoint moved
+   */
+  advance(subreddit, post) {
+    const current = this.get(subreddit);
+
+    if (current && current.created_utc >= post.created_utc) {
+      logger.debug(`Checkpoint for ${subreddit} already at or past ${current.fullname}`);
+      return false;
+    }
+
+    const checkpoint = {
+      fullname: `t3_${post.id}`,
+      created_utc: post.created_utc,
+      updated_at: new Date().toISOString()
+    };
+
+    writeJsonFile(this.getFilePath(subreddit), checkpoint);
+    logger.info(`Checkpoint for ${subreddit} advanced to ${checkpoint.fullname} (${new Date(post.created_utc * 1000).toISOString()})`);
+
+    return true;
+  }
+}
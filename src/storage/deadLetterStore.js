@@ -0,0 +1,84 @@
+import { resolveDataPath, readJsonFile, writeJsonFile, listDataFiles } from './files.js';
+
+const NAMESPACE = 'dead-letter';
+
+/**
+ * Persistent store of items the Vector DB rejected or never accepted, kept
+ * with their full payload so they can be replayed later. Like the ingestion
+ * ledger it uses one file per channel, written only by that channel's worker
+ * (or by the replay command when no worker is running).
+ */
+export class DeadLetterStore {
+  constructor(channel) {
+    this.channel = channel;
+    const name = channel.replace(/^r\//, '').replace(/[^A-Za-z0-9_-]/g, '_');
+    this.filePath = resolveDataPath(NAMESPACE, `${name}.json`);
+    this.data = readJsonFile(this.filePath, { channel, entries: {} });
+  }
+
+  /**
+   * Load the stores of every channel that has dead letters
+   * @returns {Array} DeadLetterStore instances
+   */
+  static loadAll() {
+    return listDataFiles(NAMESPACE)
+      .map(filePath => readJsonFile(filePath))
+      .filter(data => data?.channel)
+      .map(data => new DeadLetterStore(data.channel));
+  }
+
+  /**
+   * Get all entries, oldest failure first
+   * @returns {Array} [{ itemId, postId, channel, sinks, item, error, errorType, status, details, attempts, firstFailedAt, lastFailedAt }]
+   */
+  getEntries() {
+    return Object.values(this.data.entries)
+      .sort((a, b) => a.lastFailedAt.localeCompare(b.lastFailedAt));
+  }
+
+  /**
+   * Record a failed item, adding to its attempt count if it failed before
+   * @param {Object} item - Vector DB item payload
+   * @param {Object} failure - Failed result from VectorDBIngestion.ingestItem
+   * @param {string} postId - Reddit post the item belongs to
+   */
+  record(item, failure, postId = null) {
+    const now = new Date().toISOString();
+    const existing = this.data.entries[item.id];
+
+    this.data.entries[item.id] = {
+      itemId: item.id,
+      postId: postId || existing?.postId || null,
+      channel: this.channel,
+      sinks: failure.sinks || existing?.sinks || null,
+      item,
+      error: failure.error,
+      errorType: failure.errorType || 'unknown',
+      status: failure.status || null,
+      details: failure.details,
+      attempts: (existing?.attempts || 0) + (failure.attempts || 1),
+      firstFailedAt: existing?.firstFailedAt || now,
+      lastFailedAt: now
+    };
+  }
+
+  /**
+   * Drop an item that has since been ingested
+   * @returns {boolean} True if the item was in the store
+   */
+  resolve(itemId) {
+    if (!this.data.entries[itemId]) {
+      return false;
+    }
+
+    delete this.data.entries[itemId];
+    return true;
+  }
+
+  /**
+   * Write the store to disk
+   */
+  save() {
+    writeJsonFile(this.filePath, this.data);
+  }
+}
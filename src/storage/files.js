@@ -0,0 +1,126 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Get the directory used for local state (checkpoints, ledgers, job history)
+ * @returns {string} Absolute path, configurable via DATA_DIR
+ */
+export function getDataDir() {
+  return process.env.DATA_DIR
+    ? path.resolve(process.env.DATA_DIR)
+    : path.join(__dirname, '../../data');
+}
+
+/**
+ * Resolve a path inside the data directory, creating parent directories as needed
+ * @param {...string} segments - Path segments relative to the data directory
+ * @returns {string} Absolute file path
+ */
+export function resolveDataPath(...segments) {
+  const filePath = path.join(getDataDir(), ...segments);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  return filePath;
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {*} Parsed content or fallback
+ */
+export function readJsonFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write a JSON file atomically (write to a temp file, then rename)
+ * @param {string} filePath - File to write
+ * @param {*} data - Serializable data
+ */
+export function writeJsonFile(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+// How long to wait for a lock held by another process, and when a lock is assumed left by a crash
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+
+/**
+ * Check whether a lock file was left behind by a process that crashed while holding it
+ */
+function isStaleLock(lockPath) {
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+  } catch (error) {
+    return false; // Released meanwhile
+  }
+}
+
+/**
+ * Run a function while holding an exclusive lock on a file, so processes sharing the
+ * data directory (web server, daemon, CLI) don't interleave read-modify-write cycles.
+ * The lock is a `<file>.lock` created with O_EXCL; waiting for it blocks briefly.
+ * @param {string} filePath - File to lock
+ * @param {Function} fn - Synchronous function to run under the lock
+ * @returns {*} What fn returns
+ */
+export function withFileLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  let fd;
+
+  while (fd === undefined) {
+    try {
+      fd = fs.openSync(lockPath, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      if (isStaleLock(lockPath)) {
+        fs.rmSync(lockPath, { force: true });
+      } else if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${lockPath}`);
+      } else {
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 10);
+      }
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+/**
+ * List the JSON files in a data subdirectory
+ * @param {string} namespace - Subdirectory of the data directory
+ * @returns {Array} Absolute file paths (empty if the directory does not exist)
+ */
+export function listDataFiles(namespace) {
+  const dir = path.join(getDataDir(), namespace);
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => path.join(dir, name));
+}
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import { resolveDataPath, readJsonFile, writeJsonFile } from './files.js';
+
+/**
+ * Hash an item's transformed payload, so any change to what would be sent is detected
+ * @param {Object} item - Vector DB item
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashItem(item) {
+  return crypto.createHash('sha256').update(JSON.stringify(item)).digest('hex');
+}
+
+// Recorded posts between saves; a crash loses at most these, which are then sent again
+const SAVE_EVERY_POSTS = 50;
+
+/**
+ * Local record of what has been ingested for a channel: each post with its
+ * creation time, and each ingested item (post or comment), keyed by Reddit ID,
+ * with a hash of the payload it was sent with. One file per channel, loaded
+ * once and saved every SAVE_EVERY_POSTS posts and at the end of a run, so only
+ * the channel's own worker writes to it. Posts not ingested or refreshed for
+ * retentionDays are dropped with their items when the ledger is saved.
+ */
+export class IngestionLedger {
+  /**
+   * @param {string} channel - Channel the ledger belongs to
+   * @param {Object} options - { namespace, retentionDays } where retentionDays defaults to LEDGER_RETENTION_DAYS or 30
+   */
+  constructor(channel, options = {}) {
+    this.channel = channel;
+    const name = channel.replace(/^r\//, '').replace(/[^A-Za-z0-9_-]/g, '_');
+    this.filePath = resolveDataPath(options.namespace || 'ledger', `${name}.json`);
+    this.retentionDays = options.retentionDays || parseInt(process.env.LEDGER_RETENTION_DAYS) || 30;
+    this.data = readJsonFile(this.filePath, { posts: {}, items: {} });
+    this.unsavedPosts = 0;
+  }
+
+  /**
+   * Get a recorded item by its Vector DB item ID
+   */
+  getItem(itemId) {
+    return this.data.items[itemId] || null;
+  }
+
+  /**
+   * Get ingested posts created at or after a Unix timestamp
+   * @returns {Array} [{ id, created_utc, subreddit, ingestedAt, refreshedAt }]
+   */
+  getPostsSince(cutoffTime) {
+    return Object.entries(this.data.posts)
+      .filter(([, entry]) => entry.created_utc >= cutoffTime)
+      .map(([id, entry]) => ({ id, ...entry }));
+  }
+
+  /**
+   * Record successfully ingested items for a post, saving the ledger every SAVE_EVERY_POSTS posts
+   * @param {Object} redditPost - Post from RedditFetcher
+   * @param {Array} items - Vector DB items that were ingested
+   */
+  recordPost(redditPost, items) {
+    const now = new Date().toISOString();
+    const { post, subreddit } = redditPost;
+    const existing = this.data.posts[post.id];
+
+    this.data.posts[post.id] = {
+      created_utc: post.created_utc,
+      subreddit,
+      ingestedAt: existing?.ingestedAt || now,
+      refreshedAt: existing ? now : null
+    };
+
+    this.recordItems(items, post.id);
+
+    if (++this.unsavedPosts >= SAVE_EVERY_POSTS) {
+      this.save();
+    }
+  }
+
+  /**
+   * Record successfully ingested items without touching their post's entry
+   * (used for replayed items, whose post may not be in the ledger); call save() afterwards
+   * @param {Array} items - Vector DB items that were ingested
+   * @param {string} postId - Reddit post the items belong to
+   */
+  recordItems(items, postId) {
+    const now = new Date().toISOString();
+
+    for (const item of items) {
+      this.data.items[item.id] = {
+        postId,
+        isComment: item.isComment,
+        likes: item.likes,
+        comments: item.comments,
+        hash: hashItem(item),
+        ingestedAt: now
+      };
+    }
+  }
+
+  /**
+   * Compare an item with what was last ingested for it
+   * @returns {string} 'new', 'updated' or 'unchanged'
+   */
+  getItemStatus(item) {
+    const recorded = this.getItem(item.id);
+
+    if (!recorded) {
+      return 'new';
+    }
+
+    // Entries recorded before payload hashes: only a post's likes/comments counts are known
+    if (!recorded.hash) {
+      const countsChanged = !item.isComment && (recorded.likes !== item.likes || recorded.comments !== item.comments);
+      return countsChanged ? 'updated' : 'unchanged';
+    }
+
+    return recorded.hash === hashItem(item) ? 'unchanged' : 'updated';
+  }
+
+  /**
+   * Keep only items that are new or whose payload changed since they were ingested
+   */
+  filterChanged(items) {
+    return items.filter(item => this.getItemStatus(item) !== 'unchanged');
+  }
+
+  /**
+   * Drop posts last ingested or refreshed before the retention period, with their items,
+   * and items without a post entry (from replays) ingested before it
+   * @returns {number} Number of posts dropped
+   */
+  prune() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const expired = new Set();
+
+    for (const [id, entry] of Object.entries(this.data.posts)) {
+      if ((entry.refreshedAt || entry.ingestedAt) < cutoff) {
+        expired.add(id);
+        delete this.data.posts[id];
+      }
+    }
+
+    for (const [id, entry] of Object.entries(this.data.items)) {
+      if (expired.has(entry.postId) || (!this.data.posts[entry.postId] && entry.ingestedAt < cutoff)) {
+        delete this.data.items[id];
+      }
+    }
+
+    return expired.size;
+  }
+
+  /**
+   * Drop expired entries and write the ledger to disk
+   */
+  save() {
+    this.prune();
+    writeJsonFile(this.filePath, this.data);
+    this.unsavedPosts = 0;
+  }
+}
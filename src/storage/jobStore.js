@@ -0,0 +1,134 @@
+import fs from 'fs';
+import { resolveDataPath, readJsonFile, writeJsonFile, withFileLock } from './files.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('JobStore');
+
+/**
+ * Append-only log of job snapshots, so job history survives restarts. Each
+ * change to a job appends its full state as one JSON line; deletions append a
+ * { id, deleted: true } marker. Loading replays the log, keeping the last
+ * snapshot of each job, and rewrites it without the superseded lines.
+ * The last job ID is kept separately, so IDs of deleted jobs are never reused.
+ *
+ * The web server, daemon and CLI may share the store, so every write happens
+ * under a lock file, IDs are allocated from the meta file on disk, and
+ * compaction rewrites the log from the file itself, not from one process's jobs.
+ */
+export class JobStore {
+  constructor(namespace = 'jobs') {
+    this.filePath = resolveDataPath(namespace, 'jobs.jsonl');
+    this.metaPath = resolveDataPath(namespace, 'meta.json');
+    this.meta = readJsonFile(this.metaPath, { lastJobId: 0 });
+  }
+
+  /**
+   * Reserve the next job ID
+   */
+  allocateId() {
+    return withFileLock(this.filePath, () => {
+      const meta = readJsonFile(this.metaPath, { lastJobId: 0 });
+      this.meta.lastJobId = Math.max(meta.lastJobId, this.meta.lastJobId) + 1;
+      writeJsonFile(this.metaPath, this.meta);
+      return this.meta.lastJobId;
+    });
+  }
+
+  /**
+   * Replay the log and compact it
+   * @returns {Map} jobId -> job, in creation order
+   */
+  load() {
+    return withFileLock(this.filePath, () => {
+      const { jobs, lineCount } = this.replay();
+
+      if (lineCount > jobs.size) {
+        this.writeLog(jobs);
+      }
+
+      return new Map([...jobs.entries()].sort(([a], [b]) => a - b));
+    });
+  }
+
+  /**
+   * Read the log, keeping the last snapshot of each job
+   * @returns {Object} { jobs, lineCount } with jobs as jobId -> job
+   */
+  replay() {
+    const jobs = new Map();
+    let lines = [];
+
+    try {
+      lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read ${this.filePath}: ${error.message}`);
+      }
+    }
+
+    lines.forEach((line, index) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-write can leave a partial last line
+        logger.warn(`Skipping unreadable line ${index + 1} of ${this.filePath}`);
+        return;
+      }
+
+      this.meta.lastJobId = Math.max(this.meta.lastJobId, record.id);
+
+      if (record.deleted) {
+        jobs.delete(record.id);
+      } else {
+        jobs.set(record.id, record);
+      }
+    });
+
+    return { jobs, lineCount: lines.length };
+  }
+
+  /**
+   * Append a job's current state
+   */
+  save(job) {
+    this.append(job);
+  }
+
+  /**
+   * Append a deletion marker for a job
+   */
+  delete(jobId) {
+    this.append({ id: jobId, deleted: true });
+  }
+
+  /**
+   * Append a record to the log
+   */
+  append(record) {
+    withFileLock(this.filePath, () => {
+      fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+    });
+  }
+
+  /**
+   * Rewrite the log with one line per job, replaying it first so jobs
+   * appended by other processes are kept
+   */
+  compact() {
+    withFileLock(this.filePath, () => {
+      this.writeLog(this.replay().jobs);
+    });
+  }
+
+  /**
+   * Replace the log with the given jobs; only called under the lock
+   * @param {Map} jobs - jobId -> job
+   */
+  writeLog(jobs) {
+    const content = [...jobs.values()].map(job => `${JSON.stringify(job)}\n`).join('');
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
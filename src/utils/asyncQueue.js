@@ -0,0 +1,81 @@
+/**
+ * Bounded queue connecting an async producer and consumer.
+ * push() waits while the queue is full, so the producer can never run more
+ * than `capacity` items ahead of the consumer.
+ */
+export class AsyncQueue {
+  constructor(capacity = 1) {
+    this.capacity = capacity;
+    this.items = [];
+    this.closed = false;
+    this.error = null;
+    this.waitingPush = [];
+    this.waitingShift = [];
+  }
+
+  /**
+   * Add an item, waiting for space if the queue is full
+   */
+  async push(item) {
+    while (this.items.length >= this.capacity && !this.closed) {
+      await new Promise(resolve => this.waitingPush.push(resolve));
+    }
+
+    if (this.error) throw this.error;
+    if (this.closed) throw new Error('Queue is closed');
+
+    this.items.push(item);
+    this.wake(this.waitingShift);
+  }
+
+  /**
+   * Take the next item, waiting until one is available
+   * @returns {Object} { done, value } with done set once the queue is closed and drained
+   */
+  async shift() {
+    while (this.items.length === 0) {
+      if (this.closed) {
+        return { done: true, value: undefined };
+      }
+      await new Promise(resolve => this.waitingShift.push(resolve));
+    }
+
+    const value = this.items.shift();
+    this.wake(this.waitingPush);
+    return { done: false, value };
+  }
+
+  /**
+   * Signal that no more items will be pushed; buffered items can still be taken
+   */
+  close() {
+    this.closed = true;
+    this.wake(this.waitingPush, true);
+    this.wake(this.waitingShift, true);
+  }
+
+  /**
+   * Abort the queue: pending and future pushes reject with the given error
+   */
+  fail(error) {
+    this.error = error;
+    this.items = [];
+    this.close();
+  }
+
+  /**
+   * Resolve one waiter, or all of them
+   */
+  wake(waiters, all = false) {
+    const count = all ? waiters.length : Math.min(1, waiters.length);
+    waiters.splice(0, count).forEach(resolve => resolve());
+  }
+
+  async *[Symbol.asyncIterator]() {
+    while (true) {
+      const { done, value } = await this.shift();
+      if (done) return;
+      yield value;
+    }
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * Check whether a process is still running
+ */
+export function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM'; // Exists, but belongs to another user
+  }
+}
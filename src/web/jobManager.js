@@ -2,17 +2,51 @@ import { Worker } from 'worker_threads';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import { createLogger } from '../utils/logger.js';
+import { isProcessAlive } from '../utils/process.js';
+import { RateLimiter } from '../reddit/rateLimiter.js';
+import { mergeCounts } from '../processing/redactor.js';
+import { AlertManager } from '../alerts/alertManager.js';
+import { JobStore } from '../storage/jobStore.js';
+import { applyChannelOverrides } from '../config/loader.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const logger = createLogger('JobManager');
 
+const ACTIVE_STATUSES = ['pending', 'running'];
+const FINISHED_CHANNEL_STATUSES = ['completed', 'failed', 'cancelled'];
+const RETRYABLE_CHANNEL_STATUSES = ['failed', 'cancelled'];
+
+// How long a cancelled worker gets to stop after its current post before it is terminated
+const CANCEL_TIMEOUT_MS = 30000;
+
 export class JobManager {
-  constructor() {
-    this.jobs = new Map(); // jobId -> job data
-    this.nextJobId = 1;
+  /**
+   * @param {Object} options - { store, retentionDays } where retentionDays (default: JOB_RETENTION_DAYS or 30)
+   *   is how long finished jobs are kept
+   */
+  constructor(options = {}) {
+    // Job history is persisted, so it survives restarts
+    this.store = options.store || new JobStore();
+    this.jobs = this.store.load(); // jobId -> job data
+    this.workers = new Map(); // "jobId:channelIndex" -> running Worker
+    this.cancelTimeoutMs = options.cancelTimeoutMs || CANCEL_TIMEOUT_MS;
+    this.retentionDays = options.retentionDays || parseInt(process.env.JOB_RETENTION_DAYS) || 30;
     this.subscribers = new Set(); // WebSocket connections to notify
+
+    this.recoverInterruptedJobs();
+    this.pruneJobs();
+
+    // Shared by every worker of every job, since they all use the same Reddit client ID
+    this.rateLimiter = new RateLimiter({
+      requestsPerMinute: parseInt(process.env.REDDIT_REQUESTS_PER_MINUTE) || 60
+    });
+
+    // Watchlist alerts reported by workers, pushed to the web UI once delivered
+    this.alerts = new AlertManager({
+      onAlert: alert => this.notifySubscribers({ type: 'alert', alert })
+    });
   }
 
   /**
@@ -36,21 +70,80 @@ export class JobManager {
     });
   }
 
+  /**
+   * Whether a job is run by another live process sharing the store
+   */
+  isRunElsewhere(job) {
+    return Boolean(job.pid && job.pid !== process.pid && isProcessAlive(job.pid));
+  }
+
+  /**
+   * Re-read the store to pick up jobs that other processes sharing it (web server,
+   * daemon, CLI retries) created, updated or deleted. Jobs this process is running
+   * are kept as they are in memory, where their progress is; everything else this
+   * process changes is saved right away, so the store has its latest state.
+   */
+  syncJobs() {
+    const jobs = this.store.load();
+
+    for (const [id, job] of this.jobs) {
+      if (ACTIVE_STATUSES.includes(job.status) && job.pid === process.pid) {
+        jobs.set(id, job);
+      }
+    }
+
+    this.jobs = new Map([...jobs.entries()].sort(([a], [b]) => a - b));
+  }
+
+  /**
+   * Mark jobs that were still running when the process stopped as interrupted,
+   * and their unfinished channels as failed. Jobs run by another live process
+   * sharing the store (e.g. the daemon next to the web server) are left alone.
+   */
+  recoverInterruptedJobs() {
+    const interrupted = [...this.jobs.values()].filter(job =>
+      ACTIVE_STATUSES.includes(job.status) && !this.isRunElsewhere(job)
+    );
+
+    for (const job of interrupted) {
+      job.status = 'interrupted';
+      job.channels
+        .filter(ch => !FINISHED_CHANNEL_STATUSES.includes(ch.status))
+        .forEach(ch => {
+          ch.status = 'failed';
+          ch.error = 'Interrupted by a restart';
+        });
+      this.store.save(job);
+    }
+
+    if (interrupted.length > 0) {
+      logger.warn(`Marked ${interrupted.length} jobs interrupted by a restart`);
+    }
+  }
+
   /**
    * Create a new job
+   * @param {Array} sinks - Sink configs for every channel of the job, or null to use each channel's own
+   * @param {number} retryOf - ID of the job this one retries, if any
    */
-  createJob(channels, hours, days, testMode) {
-    const jobId = this.nextJobId++;
+  createJob(channels, hours, days, testMode, sinceLastRun = false, refresh = false, sinks = null, retryOf = null) {
+    const jobId = this.store.allocateId();
     const job = {
       id: jobId,
       status: 'pending',
       channels: channels.map(ch => ({
         subreddit: ch.subreddit,
+        overrides: ch.overrides || null,
         status: 'pending',
         stats: null,
-        error: null
+        error: null,
+        startedAt: null,
+        completedAt: null
       })),
-      params: { hours, days, testMode },
+      params: { hours, days, testMode, sinceLastRun, refresh, sinks },
+      pid: process.pid, // Process running the job, so others sharing the store don't recover it
+      retryOf,
+      retriedBy: [],
       createdAt: new Date().toISOString(),
       startedAt: null,
       completedAt: null,
@@ -58,11 +151,16 @@ export class JobManager {
         posts: 0,
         comments: 0,
         successful: 0,
-        failed: 0
+        failed: 0,
+        skipped: 0,
+        moreCommentsRecovered: 0,
+        sentiment: {},
+        topics: {}
       }
     };
 
     this.jobs.set(jobId, job);
+    this.store.save(job);
     logger.info(`Created job ${jobId} with ${channels.length} channels`);
 
     this.notifySubscribers({
@@ -84,6 +182,7 @@ export class JobManager {
 
     job.status = 'running';
     job.startedAt = new Date().toISOString();
+    this.store.save(job);
     logger.info(`Starting job ${jobId}`);
 
     this.notifySubscribers({
@@ -91,18 +190,16 @@ export class JobManager {
       job: this.getJobSummary(jobId)
     });
 
-    const { hours, days, testMode } = job.params;
-
     // Start workers for each channel
     const workerPromises = channels.map((channel, index) =>
-      this.runChannelWorker(jobId, index, channel, hours, days, testMode)
+      this.runChannelWorker(jobId, index, channel, job.params)
     );
 
     // Wait for all workers to complete
     await Promise.allSettled(workerPromises);
 
     // Update job status
-    job.status = 'completed';
+    job.status = job.cancelRequested ? 'cancelled' : 'completed';
     job.completedAt = new Date().toISOString();
 
     // Calculate total stats
@@ -112,26 +209,43 @@ export class JobManager {
         job.totalStats.comments += ch.stats.comments;
         job.totalStats.successful += ch.stats.successful;
         job.totalStats.failed += ch.stats.failed;
+        job.totalStats.skipped += ch.stats.skipped || 0;
+        job.totalStats.moreCommentsRecovered += ch.stats.moreCommentsRecovered || 0;
+        job.totalStats.sentiment = mergeCounts(job.totalStats.sentiment, ch.stats.sentiment);
+        job.totalStats.topics = mergeCounts(job.totalStats.topics, ch.stats.topics);
       }
     });
 
-    logger.info(`Job ${jobId} completed`);
+    this.store.save(job);
+    logger.info(`Job ${jobId} ${job.status}`);
 
     this.notifySubscribers({
       type: 'job_completed',
       job: this.getJobSummary(jobId)
     });
 
+    // Finished jobs past the retention period are dropped as new ones complete
+    this.pruneJobs();
+
     return job;
   }
 
   /**
    * Run a worker for a single channel
    */
-  runChannelWorker(jobId, channelIndex, channel, hours, days, testMode) {
+  runChannelWorker(jobId, channelIndex, channel, params) {
     return new Promise((resolve, reject) => {
       const job = this.jobs.get(jobId);
+
+      // Cancelled before its worker started
+      if (job.channels[channelIndex].status === 'cancelled') {
+        resolve();
+        return;
+      }
+
       const workerPath = path.join(__dirname, '../workers', 'channelWorker.js');
+      const rateLimiterPort = this.rateLimiter.createPort();
+      const run = applyChannelOverrides(params, channel.overrides);
 
       const worker = new Worker(workerPath, {
         workerData: {
@@ -139,37 +253,70 @@ export class JobManager {
           clientSecret: channel.clientSecret,
           subreddit: channel.subreddit,
           platform: channel.platform,
-          hours,
-          days,
-          testMode
-        }
+          moreComments: channel.moreComments,
+          threadContext: channel.threadContext,
+          threadDocument: channel.threadDocument,
+          redaction: channel.redaction,
+          filters: channel.filters,
+          normalize: channel.normalize,
+          tagging: channel.tagging,
+          mentions: channel.mentions,
+          watchlist: channel.watchlist,
+          search: channel.search,
+          listings: channel.listings,
+          comments: run.comments,
+          hours: run.hours,
+          days: run.days,
+          testMode: run.testMode,
+          sinceLastRun: run.sinceLastRun,
+          refresh: run.refresh ? { hours: run.hours, days: run.days } : null,
+          sinks: params.sinks || channel.sinks,
+          rateLimiterPort
+        },
+        transferList: [rateLimiterPort]
       });
 
+      const workerKey = `${jobId}:${channelIndex}`;
+      this.workers.set(workerKey, worker);
+
       worker.on('message', (message) => {
         switch (message.type) {
           case 'progress':
-            job.channels[channelIndex].status = message.status;
+            // A channel being cancelled keeps showing that until its worker stops
+            if (!job.channels[channelIndex].cancelRequested) {
+              job.channels[channelIndex].status = message.status;
+            }
+            job.channels[channelIndex].startedAt = job.channels[channelIndex].startedAt || new Date().toISOString();
             if (message.postsCount) {
               job.channels[channelIndex].postsCount = message.postsCount;
             }
+            if (message.fetchedCount !== undefined) {
+              job.channels[channelIndex].fetchedCount = message.fetchedCount;
+              job.channels[channelIndex].ingestedCount = message.ingestedCount;
+            }
 
             this.notifySubscribers({
               type: 'channel_progress',
               jobId,
               subreddit: message.subreddit,
-              status: message.status,
-              postsCount: message.postsCount
+              status: job.channels[channelIndex].status,
+              postsCount: message.postsCount,
+              fetchedCount: message.fetchedCount,
+              ingestedCount: message.ingestedCount
             });
             break;
 
           case 'complete':
-            job.channels[channelIndex].status = 'completed';
+            job.channels[channelIndex].status = message.cancelled ? 'cancelled' : 'completed';
             job.channels[channelIndex].stats = message.stats;
+            job.channels[channelIndex].completedAt = new Date().toISOString();
+            this.store.save(job);
 
             this.notifySubscribers({
               type: 'channel_completed',
               jobId,
               subreddit: message.subreddit,
+              status: job.channels[channelIndex].status,
               stats: message.stats
             });
             break;
@@ -177,6 +324,8 @@ export class JobManager {
           case 'error':
             job.channels[channelIndex].status = 'failed';
             job.channels[channelIndex].error = message.error;
+            job.channels[channelIndex].completedAt = new Date().toISOString();
+            this.store.save(job);
 
             this.notifySubscribers({
               type: 'channel_error',
@@ -185,6 +334,10 @@ export class JobManager {
               error: message.error
             });
             break;
+
+          case 'alert':
+            this.alerts.handle(message.subreddit, { ...message.alert, jobId }, channel.watchlist?.webhookUrl);
+            break;
         }
       });
 
@@ -195,15 +348,174 @@ export class JobManager {
       });
 
       worker.on('exit', (code) => {
-        if (code !== 0 && job.channels[channelIndex].status !== 'completed') {
-          job.channels[channelIndex].status = 'failed';
-          job.channels[channelIndex].error = `Worker stopped with exit code ${code}`;
+        const ch = job.channels[channelIndex];
+        this.workers.delete(workerKey);
+
+        if (ch.cancelRequested && !FINISHED_CHANNEL_STATUSES.includes(ch.status)) {
+          // Terminated after the cancel timeout: only the progress counts are known
+          ch.status = 'cancelled';
+          ch.completedAt = new Date().toISOString();
+          this.notifySubscribers({
+            type: 'channel_completed',
+            jobId,
+            subreddit: ch.subreddit,
+            status: 'cancelled',
+            stats: null
+          });
+        } else if (code !== 0 && ch.status !== 'completed' && ch.status !== 'cancelled') {
+          ch.status = 'failed';
+          ch.error = `Worker stopped with exit code ${code}`;
         }
         resolve();
       });
     });
   }
 
+  /**
+   * Cancel all unfinished channels of a running job
+   * @returns {boolean} False if the job doesn't exist; throws if it isn't running
+   */
+  cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return false;
+
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      throw new Error(`Job ${jobId} is not running`);
+    }
+    if (this.isRunElsewhere(job)) {
+      throw new Error(`Job ${jobId} is run by another process (pid ${job.pid}), cancel it there`);
+    }
+
+    job.cancelRequested = true;
+    logger.info(`Cancelling job ${jobId}`);
+
+    job.channels
+      .filter(ch => !FINISHED_CHANNEL_STATUSES.includes(ch.status))
+      .forEach(ch => this.cancelChannel(jobId, ch.subreddit));
+
+    return true;
+  }
+
+  /**
+   * Cancel one channel of a running job: its worker stops after the current post,
+   * or is terminated if it hasn't stopped within the cancel timeout. Stats of the
+   * posts ingested until then are kept.
+   * @returns {boolean} False if the job or channel doesn't exist; throws if the channel isn't running
+   */
+  cancelChannel(jobId, subreddit) {
+    const job = this.jobs.get(jobId);
+    const channelIndex = job ? job.channels.findIndex(ch => ch.subreddit === subreddit) : -1;
+    if (channelIndex < 0) return false;
+
+    const ch = job.channels[channelIndex];
+    if (FINISHED_CHANNEL_STATUSES.includes(ch.status) || ch.cancelRequested) {
+      throw new Error(`${subreddit} is not running in job ${jobId}`);
+    }
+    if (this.isRunElsewhere(job)) {
+      throw new Error(`Job ${jobId} is run by another process (pid ${job.pid}), cancel it there`);
+    }
+
+    ch.cancelRequested = true;
+    const worker = this.workers.get(`${jobId}:${channelIndex}`);
+
+    if (!worker) {
+      ch.status = 'cancelled';
+      ch.completedAt = new Date().toISOString();
+    } else {
+      ch.status = 'cancelling';
+      worker.postMessage({ type: 'cancel' });
+
+      const timer = setTimeout(() => {
+        if (this.workers.get(`${jobId}:${channelIndex}`) === worker) {
+          logger.warn(`${subreddit} in job ${jobId} did not stop within ${this.cancelTimeoutMs / 1000}s, terminating its worker`);
+          worker.terminate();
+        }
+      }, this.cancelTimeoutMs);
+      worker.once('exit', () => clearTimeout(timer));
+    }
+
+    logger.info(`Cancelling ${subreddit} in job ${jobId}`);
+    this.store.save(job);
+
+    this.notifySubscribers({
+      type: 'channel_progress',
+      jobId,
+      subreddit,
+      status: ch.status
+    });
+
+    return true;
+  }
+
+  /**
+   * Create a job retrying the channels of a finished job that failed or were cancelled,
+   * with the same parameters and channel overrides. The jobs are linked through retryOf and retriedBy.
+   * @param {Array} channels - Configured channels (from getAllChannels) to take the retried ones from
+   * @returns {Object} { jobId, channels, missing } where missing lists channels to retry that are no longer
+   *   configured, or null if the job doesn't exist; throws if it is still running or has nothing to retry
+   */
+  retryJob(jobId, channels) {
+    // Also re-reads the store, so this must come before looking up the job
+    const running = this.getRunningChannels();
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    if (ACTIVE_STATUSES.includes(job.status)) {
+      throw new Error(`Job ${jobId} has not finished`);
+    }
+
+    const retried = job.channels.filter(ch => RETRYABLE_CHANNEL_STATUSES.includes(ch.status));
+
+    if (retried.length === 0) {
+      throw new Error(`Job ${jobId} has no failed or cancelled channels to retry`);
+    }
+
+    // One retry at a time, and never alongside another run of the same channels
+    const activeRetry = (job.retriedBy || []).find(id => ACTIVE_STATUSES.includes(this.jobs.get(id)?.status));
+    if (activeRetry) {
+      throw new Error(`Job ${jobId} is already being retried by job ${activeRetry}`);
+    }
+
+    const busy = retried.filter(ch => running.has(ch.subreddit)).map(ch => ch.subreddit);
+    if (busy.length > 0) {
+      throw new Error(`Channels are running in another job, retry after it finishes: ${busy.join(', ')}`);
+    }
+
+    const retryChannels = [];
+    const missing = [];
+    for (const ch of retried) {
+      const channel = channels.find(configured => configured.subreddit === ch.subreddit);
+      if (channel) {
+        retryChannels.push({ ...channel, overrides: ch.overrides || null });
+      } else {
+        missing.push(ch.subreddit);
+      }
+    }
+
+    if (retryChannels.length === 0) {
+      throw new Error(`None of the channels to retry are configured anymore: ${missing.join(', ')}`);
+    }
+
+    if (missing.length > 0) {
+      logger.warn(`Not retrying ${missing.join(', ')} from job ${jobId}: no longer configured`);
+    }
+
+    const { hours, days, testMode, sinceLastRun, refresh, sinks } = job.params;
+    const retryId = this.createJob(retryChannels, hours, days, testMode, sinceLastRun, refresh, sinks, jobId);
+
+    // Jobs persisted before retries existed have no retriedBy
+    job.retriedBy = [...(job.retriedBy || []), retryId];
+    this.store.save(job);
+    logger.info(`Job ${retryId} retries ${retryChannels.map(ch => ch.subreddit).join(', ')} from job ${jobId}`);
+
+    this.notifySubscribers({
+      type: 'job_updated',
+      job: this.getJobSummary(jobId)
+    });
+
+    return { jobId: retryId, channels: retryChannels, missing };
+  }
+
   /**
    * Get a summary of a job
    */
@@ -216,6 +528,8 @@ export class JobManager {
       status: job.status,
       channels: job.channels,
       params: job.params,
+      retryOf: job.retryOf || null,
+      retriedBy: job.retriedBy || [],
       createdAt: job.createdAt,
       startedAt: job.startedAt,
       completedAt: job.completedAt,
@@ -223,10 +537,80 @@ export class JobManager {
     };
   }
 
+  /**
+   * Get a job's mention matrix: for each channel, how many of its ingested items
+   * mentioned each platform (e.g. how often r/lovable talks about Bolt)
+   * @returns {Object} { jobId, platforms, matrix } with matrix[subreddit][platform] = count, or null if the job doesn't exist
+   */
+  getMentionMatrix(jobId) {
+    this.syncJobs();
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    const platforms = new Set();
+    const matrix = {};
+
+    for (const channel of job.channels) {
+      const mentions = channel.stats?.mentions || {};
+      matrix[channel.subreddit] = mentions;
+      Object.keys(mentions).forEach(platform => platforms.add(platform));
+    }
+
+    return { jobId, platforms: [...platforms].sort(), matrix };
+  }
+
+  /**
+   * Find jobs, newest first
+   * @param {Object} filters - { status, from, to, offset, limit } where from/to bound the creation time (ISO dates)
+   * @returns {Object} { jobs, total, offset, limit } with total counting all matching jobs
+   */
+  findJobs({ status, from, to, offset = 0, limit = 20 } = {}) {
+    this.syncJobs();
+    const matching = [...this.jobs.values()]
+      .filter(job => !status || job.status === status)
+      .filter(job => !from || job.createdAt >= from)
+      .filter(job => !to || job.createdAt <= to)
+      .reverse();
+
+    return {
+      jobs: matching.slice(offset, offset + limit).map(job => this.getJobSummary(job.id)),
+      total: matching.length,
+      offset,
+      limit
+    };
+  }
+
+  /**
+   * Delete finished jobs older than the retention period
+   * @param {number} olderThanDays - Age in days past which finished jobs are deleted (default: the retention period)
+   * @returns {number} Number of jobs deleted
+   */
+  pruneJobs(olderThanDays = this.retentionDays) {
+    this.syncJobs();
+    const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+    const expired = [...this.jobs.values()]
+      .filter(job => !ACTIVE_STATUSES.includes(job.status) && (job.completedAt || job.createdAt) < cutoff);
+
+    if (expired.length === 0) {
+      return 0;
+    }
+
+    expired.forEach(job => {
+      this.jobs.delete(job.id);
+      this.store.delete(job.id);
+    });
+    this.store.compact();
+    logger.info(`Pruned ${expired.length} jobs older than ${olderThanDays} days`);
+
+    expired.forEach(job => this.notifySubscribers({ type: 'job_deleted', jobId: job.id }));
+    return expired.length;
+  }
+
   /**
    * Get all jobs
    */
   getAllJobs() {
+    this.syncJobs();
     return Array.from(this.jobs.values()).map(job => this.getJobSummary(job.id));
   }
 
@@ -234,15 +618,40 @@ export class JobManager {
    * Get active jobs (running or pending)
    */
   getActiveJobs() {
+    this.syncJobs();
     return Array.from(this.jobs.values())
-      .filter(job => job.status === 'running' || job.status === 'pending')
+      .filter(job => ACTIVE_STATUSES.includes(job.status))
       .map(job => this.getJobSummary(job.id));
   }
 
+  /**
+   * Get the channels of active jobs that haven't finished yet, in this process
+   * or in another live process sharing the store
+   * @returns {Set} Subreddit names
+   */
+  getRunningChannels() {
+    this.syncJobs();
+    const running = new Set();
+
+    for (const job of this.jobs.values()) {
+      if (!ACTIVE_STATUSES.includes(job.status)) continue;
+
+      // Jobs left active by a process that stopped are recovered when the store's next owner starts
+      if (job.pid && job.pid !== process.pid && !isProcessAlive(job.pid)) continue;
+
+      job.channels
+        .filter(ch => !FINISHED_CHANNEL_STATUSES.includes(ch.status))
+        .forEach(ch => running.add(ch.subreddit));
+    }
+
+    return running;
+  }
+
   /**
    * Delete a job
    */
   deleteJob(jobId) {
+    this.syncJobs();
     const job = this.jobs.get(jobId);
     if (!job) return false;
 
@@ -251,6 +660,7 @@ export class JobManager {
     }
 
     this.jobs.delete(jobId);
+    this.store.delete(jobId);
     logger.info(`Deleted job ${jobId}`);
 
     this.notifySubscribers({
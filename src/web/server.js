@@ -6,8 +6,11 @@ import { createServer } from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import { loadChannelsConfig, getEnabledChannels } from '../config/loader.js';
+import { loadChannelsConfig, getEnabledChannels, getAllChannels, selectChannels, parseChannelOverrides, parseSchedule } from '../config/loader.js';
 import { JobManager } from './jobManager.js';
+import { Scheduler } from '../scheduler/scheduler.js';
+import { findDeadLetters, replayDeadLetters } from '../ingestion/replay.js';
+import { parseSinkConfigs, needsIngestorToken } from '../sinks/index.js';
 import { createLogger } from '../utils/logger.js';
 
 // Load environment variables
@@ -24,6 +27,17 @@ const wss = new WebSocketServer({ server });
 
 const jobManager = new JobManager();
 
+// Scheduled runs: per-channel schedules from channels.json, plus SCHEDULE_CRON for channels without one
+let globalSchedule = null;
+if (process.env.SCHEDULE_CRON) {
+  try {
+    globalSchedule = parseSchedule(process.env.SCHEDULE_CRON);
+  } catch (error) {
+    logger.error(`Invalid SCHEDULE_CRON, ignoring it: ${error.message}`);
+  }
+}
+const scheduler = new Scheduler(jobManager, { schedule: globalSchedule });
+
 // Middleware
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../../public')));
@@ -39,6 +53,8 @@ app.get('/api/config', (req, res) => {
     const config = loadChannelsConfig();
     const allChannels = Object.keys(config).map(subreddit => ({
       subreddit,
+      type: config[subreddit].type || 'subreddit',
+      query: config[subreddit].query,
       enabled: config[subreddit].enabled
     }));
     res.json({ channels: allChannels });
@@ -180,11 +196,53 @@ app.delete('/api/channels/:subreddit', async (req, res) => {
 
 /**
  * GET /api/jobs
- * Get all jobs
+ * List jobs, newest first, filtered by status and creation date (from, to) and paginated with offset and limit.
+ * A date-only `to` includes that whole day (UTC).
  */
 app.get('/api/jobs', (req, res) => {
-  const jobs = jobManager.getAllJobs();
-  res.json({ jobs });
+  const { status } = req.query;
+  const filters = { status: status || undefined };
+
+  for (const key of ['from', 'to']) {
+    if (!req.query[key]) continue;
+
+    let time = Date.parse(req.query[key]);
+    if (Number.isNaN(time)) {
+      return res.status(400).json({ error: `${key} must be a valid date` });
+    }
+    if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      time += 24 * 60 * 60 * 1000 - 1;
+    }
+    filters[key] = new Date(time).toISOString();
+  }
+
+  filters.offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  filters.limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+  if (!Number.isInteger(filters.offset) || filters.offset < 0) {
+    return res.status(400).json({ error: 'offset must be a non-negative integer' });
+  }
+
+  if (!Number.isInteger(filters.limit) || filters.limit < 1 || filters.limit > 200) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 200' });
+  }
+
+  res.json(jobManager.findJobs(filters));
+});
+
+/**
+ * POST /api/jobs/prune
+ * Delete finished jobs older than olderThanDays (default: the JOB_RETENTION_DAYS retention period)
+ */
+app.post('/api/jobs/prune', (req, res) => {
+  const olderThanDays = req.body?.olderThanDays ?? jobManager.retentionDays;
+
+  if (!(olderThanDays > 0)) {
+    return res.status(400).json({ error: 'olderThanDays must be a positive number' });
+  }
+
+  const deleted = jobManager.pruneJobs(olderThanDays);
+  res.json({ success: true, deleted });
 });
 
 /**
@@ -202,6 +260,7 @@ app.get('/api/jobs/active', (req, res) => {
  */
 app.get('/api/jobs/:id', (req, res) => {
   const jobId = parseInt(req.params.id);
+  jobManager.syncJobs();
   const job = jobManager.getJobSummary(jobId);
 
   if (!job) {
@@ -211,23 +270,48 @@ app.get('/api/jobs/:id', (req, res) => {
   res.json({ job });
 });
 
+/**
+ * GET /api/jobs/:id/mentions
+ * Get a job's channel x platform mention matrix
+ */
+app.get('/api/jobs/:id/mentions', (req, res) => {
+  const jobId = parseInt(req.params.id);
+  const mentions = jobManager.getMentionMatrix(jobId);
+
+  if (!mentions) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(mentions);
+});
+
 /**
  * POST /api/jobs
- * Create and start a new job
+ * Create and start a new job, for every enabled channel or the given channels (disabled ones included),
+ * with optional per-channel overrides of the window, test mode and comment depth/limit
  */
 app.post('/api/jobs', async (req, res) => {
   try {
-    const { hours, days, testMode } = req.body;
+    const { hours, days, testMode, sinceLastRun, refresh } = req.body;
+    let sinks = null;
 
-    // Validate parameters
-    if (!hours && !days) {
-      return res.status(400).json({ error: 'Must specify either hours or days' });
+    // Validate parameters (with sinceLastRun, hours/days only apply to subreddits without a checkpoint)
+    if (!hours && !days && !sinceLastRun) {
+      return res.status(400).json({ error: 'Must specify either hours, days or sinceLastRun' });
     }
 
     if (hours && days) {
       return res.status(400).json({ error: 'Cannot specify both hours and days' });
     }
 
+    if (refresh && sinceLastRun) {
+      return res.status(400).json({ error: 'Cannot combine refresh and sinceLastRun' });
+    }
+
+    if (refresh && !hours && !days) {
+      return res.status(400).json({ error: 'refresh requires hours or days' });
+    }
+
     if (hours && hours <= 0) {
       return res.status(400).json({ error: 'hours must be a positive number' });
     }
@@ -236,21 +320,50 @@ app.post('/api/jobs', async (req, res) => {
       return res.status(400).json({ error: 'days must be a positive number' });
     }
 
-    // Check for API token
-    if (!process.env.VECTORDB_API_TOKEN) {
-      return res.status(500).json({ error: 'VECTORDB_API_TOKEN environment variable is not set' });
+    if (req.body.sinks !== undefined) {
+      try {
+        sinks = parseSinkConfigs(req.body.sinks);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid sinks: ${error.message}` });
+      }
+    }
+
+    if (req.body.channels !== undefined && (!Array.isArray(req.body.channels) || req.body.channels.length === 0)) {
+      return res.status(400).json({ error: 'channels must be a non-empty array of channel names' });
     }
 
     // Load configuration
     const config = loadChannelsConfig();
-    const channels = getEnabledChannels(config);
+    let channels;
+
+    try {
+      channels = req.body.channels ? selectChannels(config, req.body.channels) : getEnabledChannels(config);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid channels: ${error.message}` });
+    }
 
     if (channels.length === 0) {
       return res.status(400).json({ error: 'No enabled channels found in configuration' });
     }
 
+    if (req.body.overrides !== undefined) {
+      let overrides;
+      try {
+        overrides = parseChannelOverrides(req.body.overrides, channels.map(channel => channel.subreddit), { sinceLastRun: Boolean(sinceLastRun) });
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid overrides: ${error.message}` });
+      }
+      channels = channels.map(channel => ({ ...channel, overrides: overrides[channel.subreddit] || null }));
+    }
+
+    // Check for API token (only needed when a channel sends to the ingestor)
+    const usesIngestor = sinks ? needsIngestorToken(sinks) : channels.some(channel => needsIngestorToken(channel.sinks));
+    if (usesIngestor && !process.env.VECTORDB_API_TOKEN) {
+      return res.status(500).json({ error: 'VECTORDB_API_TOKEN environment variable is not set' });
+    }
+
     // Create job
-    const jobId = jobManager.createJob(channels, hours, days, testMode || false);
+    const jobId = jobManager.createJob(channels, hours, days, testMode || false, sinceLastRun || false, refresh || false, sinks);
 
     // Start job asynchronously (don't wait for it to complete)
     jobManager.startJob(jobId, channels).catch(error => {
@@ -269,6 +382,95 @@ app.post('/api/jobs', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/jobs/:id/retry
+ * Start a job retrying the failed and cancelled channels of a finished job, with its parameters
+ */
+app.post('/api/jobs/:id/retry', (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    jobManager.syncJobs();
+    const job = jobManager.getJobSummary(jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const channels = getAllChannels(loadChannelsConfig());
+
+    // Check for API token (only needed when a channel sends to the ingestor)
+    const usesIngestor = job.params.sinks ? needsIngestorToken(job.params.sinks) : channels.some(channel => needsIngestorToken(channel.sinks));
+    if (usesIngestor && !process.env.VECTORDB_API_TOKEN) {
+      return res.status(500).json({ error: 'VECTORDB_API_TOKEN environment variable is not set' });
+    }
+
+    let retry;
+    try {
+      retry = jobManager.retryJob(jobId, channels);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    jobManager.startJob(retry.jobId, retry.channels).catch(error => {
+      logger.error(`Job ${retry.jobId} failed: ${error.message}`);
+    });
+
+    res.json({
+      success: true,
+      jobId: retry.jobId,
+      retryOf: jobId,
+      channels: retry.channels.map(channel => channel.subreddit),
+      missing: retry.missing,
+      message: `Job ${retry.jobId} started retrying ${retry.channels.length} channels of job ${jobId}`
+    });
+
+  } catch (error) {
+    logger.error(`Failed to retry job: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a running job: each channel stops after its current post, keeping the stats so far
+ */
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+
+    if (!jobManager.cancelJob(jobId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ success: true, message: `Cancelling job ${jobId}` });
+
+  } catch (error) {
+    logger.error(`Failed to cancel job: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/channels/:subreddit/cancel
+ * Cancel one channel of a running job (subreddit URL-encoded, e.g. r%2Flovable)
+ */
+app.post('/api/jobs/:id/channels/:subreddit/cancel', (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    const { subreddit } = req.params;
+
+    if (!jobManager.cancelChannel(jobId, subreddit)) {
+      return res.status(404).json({ error: 'Job or channel not found' });
+    }
+
+    res.json({ success: true, message: `Cancelling ${subreddit} in job ${jobId}` });
+
+  } catch (error) {
+    logger.error(`Failed to cancel channel: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 /**
  * DELETE /api/jobs/:id
  * Delete a job
@@ -291,6 +493,108 @@ app.delete('/api/jobs/:id', (req, res) => {
   }
 });
 
+/**
+ * Read dead-letter filters from a query string or JSON body
+ * @returns {Object} { filters } or { error } if a numeric filter is invalid
+ */
+function parseDeadLetterFilters(source) {
+  const filters = {
+    channel: source.channel || undefined,
+    errorType: source.errorType || undefined
+  };
+
+  for (const key of ['olderThanHours', 'newerThanHours', 'limit']) {
+    if (source[key] === undefined || source[key] === '') continue;
+
+    const value = Number(source[key]);
+    if (!(value > 0)) {
+      return { error: `${key} must be a positive number` };
+    }
+    filters[key] = value;
+  }
+
+  return { filters };
+}
+
+/**
+ * GET /api/dead-letters
+ * List failed items, filtered by channel, errorType, olderThanHours, newerThanHours and limit
+ */
+app.get('/api/dead-letters', (req, res) => {
+  try {
+    const { filters, error } = parseDeadLetterFilters(req.query);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const entries = findDeadLetters(filters)
+      .flatMap(({ entries }) => entries)
+      .map(({ item, ...entry }) => entry);
+
+    res.json({ total: entries.length, entries });
+
+  } catch (error) {
+    logger.error(`Failed to list dead letters: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/dead-letters/replay
+ * Re-send failed items matching the filters in the body (same filters as GET, plus testMode).
+ * Refused with 409 while a job is running one of the affected channels, whose worker owns the channel's stores.
+ */
+app.post('/api/dead-letters/replay', async (req, res) => {
+  try {
+    const { filters, error } = parseDeadLetterFilters(req.body || {});
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const running = jobManager.getRunningChannels();
+    const busy = findDeadLetters(filters)
+      .map(({ store }) => store.channel)
+      .filter(channel => running.has(channel));
+
+    if (busy.length > 0) {
+      return res.status(409).json({ error: `Channels are running, replay after their jobs finish: ${busy.join(', ')}` });
+    }
+
+    const results = await replayDeadLetters(filters, { testMode: req.body?.testMode || false });
+
+    res.json({ success: true, ...results });
+
+  } catch (error) {
+    logger.error(`Failed to replay dead letters: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/alerts
+ * List watchlist alerts, newest first, optionally filtered by channel (limit defaults to 50)
+ */
+app.get('/api/alerts', (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+  if (!(limit > 0)) {
+    return res.status(400).json({ error: 'limit must be a positive number' });
+  }
+
+  const alerts = jobManager.alerts.store.getAlerts({ channel: req.query.channel || undefined, limit });
+  res.json({ alerts });
+});
+
+/**
+ * GET /api/schedules
+ * List schedules with their channels and next run times
+ */
+app.get('/api/schedules', (req, res) => {
+  res.json({ schedules: scheduler.getSchedules() });
+});
+
 /**
  * GET /api/health
  * Health check endpoint
@@ -308,10 +612,12 @@ app.get('/api/health', (req, res) => {
 wss.on('connection', (ws) => {
   logger.info('WebSocket client connected');
 
-  // Send current state to new client
+  // Send current state to new client: the most recent jobs, newest first
+  const { jobs, total } = jobManager.findJobs({ limit: 50 });
   ws.send(JSON.stringify({
     type: 'initial_state',
-    jobs: jobManager.getAllJobs()
+    jobs,
+    totalJobs: total
   }));
 
   // Subscribe to job updates
@@ -344,11 +650,13 @@ server.listen(PORT, () => {
   logger.info(`Reddit Intelligence Daemon Web UI started`);
   logger.info(`Server running at http://localhost:${PORT}`);
   logger.info(`WebSocket server ready for real-time updates`);
+  scheduler.start();
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
   logger.info('Shutting down gracefully...');
+  scheduler.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -357,6 +665,7 @@ process.on('SIGINT', () => {
 
 process.on('SIGTERM', () => {
   logger.info('Shutting down gracefully...');
+  scheduler.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -1,15 +1,97 @@
 import { parentPort, workerData } from 'worker_threads';
-import { RedditFetcher } from '../reddit/fetcher.js';
+import { RedditFetcher, ARCHIVE_LAG_SECONDS } from '../reddit/fetcher.js';
 import { VectorDBIngestion } from '../ingestion/vectordb.js';
+import { CheckpointStore } from '../storage/checkpointStore.js';
+import { BackfillStore } from '../storage/backfillStore.js';
+import { IngestionLedger } from '../storage/ingestionLedger.js';
+import { DeadLetterStore } from '../storage/deadLetterStore.js';
+import { RateLimiterClient } from '../reddit/rateLimiter.js';
+import { AsyncQueue } from '../utils/asyncQueue.js';
+import { createSink, DEFAULT_SINKS } from '../sinks/index.js';
+import { Watchlist } from '../alerts/watchlist.js';
+import { Redactor, mergeCounts } from '../processing/redactor.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger(`Worker-${workerData.subreddit}`);
 
+// Window used by --since-last-run when a subreddit has no checkpoint yet and none was given
+const DEFAULT_INITIAL_HOURS = 24;
+
+// Posts the fetcher may get ahead of ingestion before it waits
+const PIPELINE_BUFFER_SIZE = 3;
+
+// Set when the main thread asks this worker to stop; checked after each post
+let cancelled = false;
+
+parentPort.on('message', (message) => {
+  if (message.type === 'cancel' && !cancelled) {
+    logger.warn(`Cancelling ${workerData.subreddit} after the current post`);
+    cancelled = true;
+  }
+});
+
+// Listening for cancel messages must not keep the worker alive once its work is done
+parentPort.unref();
+
+/**
+ * Create the ingestion for this channel: its sinks (from the job or channel config),
+ * ingestion ledger and dead-letter store
+ */
+function createIngestion(subreddit, ledger = new IngestionLedger(subreddit)) {
+  return new VectorDBIngestion(null, null, {
+    sink: createSink(workerData.sinks || DEFAULT_SINKS, subreddit),
+    threadContext: workerData.threadContext,
+    threadDocument: workerData.threadDocument,
+    redaction: workerData.redaction,
+    normalize: workerData.normalize,
+    tagging: workerData.tagging,
+    mentions: workerData.mentions,
+    ledger,
+    deadLetters: new DeadLetterStore(subreddit),
+    isCancelled: () => cancelled
+  });
+}
+
+/**
+ * Create the channel's watchlist, or null if it has none. Test runs never alert.
+ * Alerts leave the worker (webhook, alert log, web UI), so posts are checked
+ * after the channel's redaction, like everything else that leaves it.
+ */
+function createWatchlist() {
+  if (!workerData.watchlist?.enabled || workerData.testMode) {
+    return null;
+  }
+
+  return new Watchlist(workerData.watchlist, {
+    redactor: workerData.redaction?.enabled ? new Redactor(workerData.redaction) : null
+  });
+}
+
+/**
+ * Check a post and its comments against the watchlist, reporting matches to the
+ * main thread, which suppresses repeats, logs and delivers them
+ */
+function reportAlerts(watchlist, redditPost) {
+  if (!watchlist) return;
+
+  for (const alert of watchlist.check(redditPost)) {
+    parentPort.postMessage({
+      type: 'alert',
+      subreddit: workerData.subreddit,
+      alert
+    });
+  }
+}
+
 /**
- * Worker thread for processing a single subreddit channel
+ * Worker thread for processing a single subreddit channel.
+ * Fetching and ingestion run as a pipeline: each post is handed to the ingester
+ * as soon as its comments are fetched, through a small bounded queue so neither
+ * side runs far ahead of the other.
  */
 async function processChannel() {
-  const { clientId, clientSecret, subreddit, platform, hours, days, testMode } = workerData;
+  const { clientId, clientSecret, subreddit, platform, moreComments, search, listings, hours, days, testMode, sinceLastRun, rateLimiterPort } = workerData;
+  const checkpoints = new CheckpointStore();
 
   try {
     logger.info(`Starting channel worker for ${subreddit}`);
@@ -22,74 +104,509 @@ async function processChannel() {
     });
 
     // Initialize fetcher
-    const fetcher = new RedditFetcher(clientId, clientSecret, subreddit);
+    const fetcher = new RedditFetcher(clientId, clientSecret, subreddit, {
+      moreComments,
+      filters: workerData.filters,
+      comments: workerData.comments,
+      search,
+      listings,
+      rateLimiter: rateLimiterPort ? new RateLimiterClient(rateLimiterPort) : null
+    });
+
+    let postStream;
+    if (sinceLastRun) {
+      const checkpoint = checkpoints.get(subreddit);
+
+      if (checkpoint) {
+        postStream = fetcher.streamPosts(null, null, testMode, checkpoint);
+      } else {
+        logger.info(`No checkpoint found for ${subreddit}, falling back to time window`);
+        postStream = fetcher.streamPosts(hours || (days ? null : DEFAULT_INITIAL_HOURS), days, testMode);
+      }
+    } else {
+      postStream = fetcher.streamPosts(hours, days, testMode);
+    }
+
+    // Initialize Vector DB ingestion (connection is tested when the first post arrives)
+    const vectorDB = createIngestion(subreddit);
+    const ingestionResults = vectorDB.createResults();
+    const queue = new AsyncQueue(PIPELINE_BUFFER_SIZE);
+    const watchlist = createWatchlist();
+
+    const progress = { status: 'fetching', fetched: 0, ingested: 0 };
+    const reportProgress = () => {
+      parentPort.postMessage({
+        type: 'progress',
+        subreddit,
+        status: progress.status,
+        postsCount: progress.fetched,
+        fetchedCount: progress.fetched,
+        ingestedCount: progress.ingested
+      });
+    };
 
     // Fetch posts
     logger.info(`Fetching posts from ${subreddit}...`);
+    reportProgress();
+
+    const producer = (async () => {
+      try {
+        for await (const post of postStream) {
+          await queue.push(post);
+          progress.fetched++;
+          reportProgress();
+        }
+      } finally {
+        queue.close();
+      }
+    })();
+
+    let newestPost = null;
+    const consumer = (async () => {
+      try {
+        let connected = false;
+
+        for await (const post of queue) {
+          if (cancelled) {
+            queue.fail(new Error('Cancelled'));
+            break;
+          }
+
+          if (!connected) {
+            // Test connection first
+            logger.info(`Testing ${vectorDB.sink.name} connection...`);
+            if (!await vectorDB.testConnection()) {
+              throw new Error(`${vectorDB.sink.name} connection test failed`);
+            }
+            connected = true;
+          }
+
+          await vectorDB.ingestPost(post, platform, testMode, ingestionResults);
+          reportAlerts(watchlist, post);
+          progress.ingested++;
+
+          if (!newestPost || post.post.created_utc > newestPost.created_utc) {
+            newestPost = post.post;
+          }
+
+          // Once fetching is done, report the remaining ingestion progress
+          if (queue.closed) {
+            progress.status = 'ingesting';
+          }
+          reportProgress();
+        }
+      } catch (error) {
+        // Stop the producer too; there is nothing left to ingest into
+        queue.fail(error);
+        throw error;
+      }
+    })();
+
+    const [fetchOutcome, ingestOutcome] = await Promise.allSettled([producer, consumer]);
+    vectorDB.saveLedger();
+
+    // Everything fetched before a failure has already been ingested at this point
+    if (ingestOutcome.status === 'rejected') {
+      throw ingestOutcome.reason;
+    }
+    if (fetchOutcome.status === 'rejected' && !cancelled) {
+      logger.warn(`Fetching failed after ${progress.fetched} posts; ${progress.ingested} were ingested before the failure`);
+      throw fetchOutcome.reason;
+    }
+
+    if (progress.fetched === 0 && !cancelled) {
+      logger.info(`No posts found for ${subreddit} in the specified time window`);
+    } else if (progress.fetched > 0) {
+      vectorDB.finishResults(ingestionResults);
+    }
+
+    // Only advance the checkpoint once everything fetched has been ingested.
+    // Test runs go to the test collection and never move it, and neither do
+    // cancelled runs, which may have skipped posts older than the newest one.
+    if (cancelled) {
+      logger.warn(`Cancelled ${subreddit} after ${progress.ingested} posts; not advancing checkpoint`);
+    } else if (!testMode && newestPost) {
+      if (ingestionResults.failed === 0) {
+        checkpoints.advance(subreddit, newestPost);
+      } else {
+        logger.warn(`Not advancing checkpoint for ${subreddit}: ${ingestionResults.failed} items failed to ingest`);
+      }
+    }
+
+    // Send completion message
+    parentPort.postMessage({
+      type: 'complete',
+      subreddit,
+      success: true,
+      cancelled,
+      stats: {
+        posts: ingestionResults.posts,
+        comments: ingestionResults.comments,
+        successful: ingestionResults.successful,
+        failed: ingestionResults.failed,
+        newItems: ingestionResults.newItems,
+        updatedItems: ingestionResults.updatedItems,
+        skipped: ingestionResults.skipped,
+        redactions: ingestionResults.redactions,
+        sentiment: ingestionResults.sentiment,
+        topics: ingestionResults.topics,
+        mentions: ingestionResults.mentions,
+        itemsPerSecond: ingestionResults.itemsPerSecond,
+        moreCommentsRecovered: fetcher.stats.moreCommentsRecovered,
+        filtered: fetcher.stats.filtered,
+        incompleteListings: fetcher.stats.incompleteListings,
+        errors: ingestionResults.errors
+      }
+    });
+
+    logger.info(`Channel worker completed for ${subreddit}`);
+
+  } catch (error) {
+    logger.error(`Channel worker failed for ${subreddit}: ${error.message}`);
+
+    parentPort.postMessage({
+      type: 'error',
+      subreddit,
+      error: error.message,
+      stack: error.stack
+    });
+  }
+}
+
+/**
+ * Split a backfill range into windows aligned to multiples of the window size,
+ * newest first, so runs over overlapping ranges share (and skip) the same windows
+ * @returns {Array} [{ start, end }] in Unix seconds, both inclusive
+ */
+function splitBackfillWindows(from, to, windowHours) {
+  const size = windowHours * 60 * 60;
+  const windows = [];
+
+  for (let start = Math.floor(from / size) * size; start <= to; start += size) {
+    windows.push({ start, end: start + size - 1 });
+  }
+
+  return windows.reverse();
+}
+
+/**
+ * Worker thread for backfilling a subreddit's history window by window
+ */
+async function processBackfill() {
+  const { clientId, clientSecret, subreddit, platform, moreComments, search, backfill, testMode, rateLimiterPort } = workerData;
+  const store = new BackfillStore();
+
+  try {
+    logger.info(`Starting backfill worker for ${subreddit}`);
+
     parentPort.postMessage({
       type: 'progress',
       subreddit,
-      status: 'fetching'
+      status: 'started'
     });
 
-    const posts = await fetcher.fetchPosts(hours, days, testMode);
+    if (search) {
+      throw new Error('Backfill is not supported for search channels');
+    }
+
+    if (backfill.reset) {
+      logger.info(`Discarding saved backfill progress for ${subreddit}`);
+      store.reset(subreddit);
+    }
+
+    const fetcher = new RedditFetcher(clientId, clientSecret, subreddit, {
+      moreComments,
+      filters: workerData.filters,
+      comments: workerData.comments,
+      rateLimiter: rateLimiterPort ? new RateLimiterClient(rateLimiterPort) : null
+    });
+
+    const vectorDB = createIngestion(subreddit);
+
+    logger.info(`Testing ${vectorDB.sink.name} connection...`);
+    const connectionOk = await vectorDB.testConnection();
+
+    if (!connectionOk) {
+      throw new Error(`${vectorDB.sink.name} connection test failed`);
+    }
+
+    const windows = splitBackfillWindows(backfill.from, backfill.to, backfill.windowHours);
+    const now = Math.floor(Date.now() / 1000);
+    let ingestDurationMs = 0;
+
+    const stats = {
+      posts: 0,
+      comments: 0,
+      successful: 0,
+      failed: 0,
+      newItems: 0,
+      updatedItems: 0,
+      skipped: 0,
+      redactions: {},
+      sentiment: {},
+      topics: {},
+      mentions: {},
+      itemsPerSecond: 0,
+      moreCommentsRecovered: 0,
+      errors: [],
+      backfill: {
+        windows: windows.length,
+        processed: 0,
+        skipped: 0,
+        incomplete: []
+      }
+    };
+
+    for (const window of windows) {
+      if (cancelled) {
+        logger.warn(`Cancelled backfill of ${subreddit} after ${stats.backfill.processed} windows`);
+        break;
+      }
+
+      if (store.isDone(subreddit, window)) {
+        stats.backfill.skipped++;
+        continue;
+      }
+
+      const windowLabel = `${new Date(window.start * 1000).toISOString()} - ${new Date(window.end * 1000).toISOString()}`;
+      logger.info(`Backfilling ${subreddit} window ${windowLabel}`);
+
+      const result = await fetcher.fetchWindow(window.start, window.end, testMode);
 
-    if (posts.length === 0) {
-      logger.info(`No posts found for ${subreddit} in the specified time window`);
       parentPort.postMessage({
-        type: 'complete',
+        type: 'progress',
         subreddit,
-        success: true,
-        stats: {
-          posts: 0,
-          comments: 0,
-          successful: 0,
-          failed: 0
-        }
+        status: 'backfilling',
+        postsCount: result.posts.length,
+        window: { ...window, index: stats.backfill.processed + stats.backfill.skipped + 1, total: windows.length }
       });
-      return;
+
+      let ingestionResults = null;
+      if (result.posts.length > 0) {
+        ingestionResults = await vectorDB.ingestPosts(result.posts, platform, testMode);
+
+        stats.posts += ingestionResults.posts;
+        stats.comments += ingestionResults.comments;
+        stats.successful += ingestionResults.successful;
+        stats.failed += ingestionResults.failed;
+        stats.newItems += ingestionResults.newItems;
+        stats.updatedItems += ingestionResults.updatedItems;
+        stats.skipped += ingestionResults.skipped;
+        stats.redactions = mergeCounts(stats.redactions, ingestionResults.redactions);
+        stats.sentiment = mergeCounts(stats.sentiment, ingestionResults.sentiment);
+        stats.topics = mergeCounts(stats.topics, ingestionResults.topics);
+        stats.mentions = mergeCounts(stats.mentions, ingestionResults.mentions);
+        stats.errors.push(...ingestionResults.errors);
+        ingestDurationMs += ingestionResults.durationMs;
+      }
+
+      if (!result.complete) {
+        stats.backfill.incomplete.push(...result.uncovered);
+      }
+
+      // Windows that are still open or not yet archived, had ingestion failures, were cancelled partway,
+      // or ran in test mode are retried next run
+      if (!testMode && !cancelled && window.end <= now && result.complete && (!ingestionResults || ingestionResults.failed === 0)) {
+        store.recordWindow(subreddit, window, {
+          posts: result.posts.length,
+          complete: result.complete,
+          uncovered: result.uncovered
+        });
+      }
+
+      stats.backfill.processed++;
+
+      if (testMode && stats.posts > 0) {
+        logger.info(`Test mode: stopping backfill for ${subreddit} after first window with posts`);
+        break;
+      }
     }
 
-    // Initialize Vector DB ingestion
-    const vectorDB = new VectorDBIngestion();
+    stats.moreCommentsRecovered = fetcher.stats.moreCommentsRecovered;
+    stats.filtered = fetcher.stats.filtered;
+    stats.itemsPerSecond = ingestDurationMs > 0
+      ? Math.round((stats.successful / (ingestDurationMs / 1000)) * 100) / 100
+      : 0;
 
-    // Test connection first
-    logger.info(`Testing Vector DB connection...`);
-    const connectionOk = await vectorDB.testConnection();
+    if (stats.backfill.incomplete.length > 0) {
+      logger.warn(`${stats.backfill.incomplete.length} backfill windows for ${subreddit} end within the archive's ${ARCHIVE_LAG_SECONDS / 3600}h lag and may not be fully archived yet; they will be retried next run`);
+    }
 
-    if (!connectionOk) {
-      throw new Error('Vector DB connection test failed');
+    parentPort.postMessage({
+      type: 'complete',
+      subreddit,
+      success: true,
+      cancelled,
+      stats
+    });
+
+    logger.info(`Backfill worker completed for ${subreddit}`);
+
+  } catch (error) {
+    logger.error(`Backfill worker failed for ${subreddit}: ${error.message}`);
+
+    parentPort.postMessage({
+      type: 'error',
+      subreddit,
+      error: error.message,
+      stack: error.stack
+    });
+  }
+}
+
+/**
+ * Worker thread for re-crawling recently ingested posts to pick up new comments and updated counts
+ */
+async function processRefresh() {
+  const { clientId, clientSecret, subreddit, platform, moreComments, search, refresh, testMode, rateLimiterPort } = workerData;
+
+  try {
+    logger.info(`Starting refresh worker for ${subreddit}`);
+
+    parentPort.postMessage({
+      type: 'progress',
+      subreddit,
+      status: 'started'
+    });
+
+    const ledger = new IngestionLedger(subreddit);
+
+    const fetcher = new RedditFetcher(clientId, clientSecret, subreddit, {
+      moreComments,
+      filters: workerData.filters,
+      comments: workerData.comments,
+      search,
+      rateLimiter: rateLimiterPort ? new RateLimiterClient(rateLimiterPort) : null
+    });
+
+    const cutoffTime = fetcher.calculateTimeWindow(refresh.hours, refresh.days);
+    let entries = ledger.getPostsSince(cutoffTime);
+
+    if ((refresh.days || refresh.hours / 24) > ledger.retentionDays) {
+      logger.warn(`Refresh window is longer than the ledger keeps posts (${ledger.retentionDays} days, LEDGER_RETENTION_DAYS); older posts are not refreshed`);
     }
 
-    // Ingest posts
-    logger.info(`Ingesting ${posts.length} posts from ${subreddit}...`);
+    if (testMode) {
+      entries = entries.slice(0, 5);
+    }
+
+    logger.info(`Re-fetching ${entries.length} previously ingested posts from ${subreddit}...`);
     parentPort.postMessage({
       type: 'progress',
       subreddit,
-      status: 'ingesting',
-      postsCount: posts.length
+      status: 'fetching',
+      postsCount: entries.length
     });
 
-    const ingestionResults = await vectorDB.ingestPosts(posts, platform, testMode);
+    const posts = [];
+    const watchlist = createWatchlist();
+    let missing = 0;
+
+    for (const entry of entries) {
+      if (cancelled) break;
+
+      try {
+        const refreshed = await fetcher.refreshPost(entry.id);
+
+        if (!refreshed) {
+          logger.debug(`Post ${entry.id} has been deleted or removed, skipping`);
+          missing++;
+          continue;
+        }
+
+        const redditPost = {
+          id: `reddit_post_${entry.id}`,
+          source: 'reddit',
+          subreddit: entry.subreddit,
+          post: refreshed.post,
+          comments: refreshed.comments,
+          metadata: {
+            fetched_at: new Date().toISOString(),
+            time_window: 'refresh',
+            test_mode: testMode
+          }
+        };
+
+        // Refreshed scores can cross a watch rule's threshold
+        reportAlerts(watchlist, redditPost);
+        posts.push(redditPost);
+      } catch (error) {
+        logger.error(`Failed to re-fetch post ${entry.id}: ${error.message}`);
+        missing++;
+      }
+    }
+
+    const stats = {
+      posts: 0,
+      comments: 0,
+      successful: 0,
+      failed: 0,
+      newItems: 0,
+      updatedItems: 0,
+      skipped: 0,
+      redactions: {},
+      sentiment: {},
+      topics: {},
+      mentions: {},
+      itemsPerSecond: 0,
+      errors: [],
+      refresh: {
+        checked: entries.length,
+        unchanged: 0,
+        missing
+      }
+    };
+
+    if (posts.length > 0) {
+      const vectorDB = createIngestion(subreddit, ledger);
+
+      logger.info(`Testing ${vectorDB.sink.name} connection...`);
+      const connectionOk = await vectorDB.testConnection();
+
+      if (!connectionOk) {
+        throw new Error(`${vectorDB.sink.name} connection test failed`);
+      }
+
+      parentPort.postMessage({
+        type: 'progress',
+        subreddit,
+        status: 'ingesting',
+        postsCount: posts.length
+      });
+
+      const results = await vectorDB.refreshPosts(posts, platform, testMode);
+
+      stats.posts = results.posts;
+      stats.comments = results.comments;
+      stats.successful = results.successful;
+      stats.failed = results.failed;
+      stats.newItems = results.newItems;
+      stats.updatedItems = results.updatedItems;
+      stats.skipped = results.skipped;
+      stats.redactions = results.redactions;
+      stats.sentiment = results.sentiment;
+      stats.topics = results.topics;
+      stats.mentions = results.mentions;
+      stats.itemsPerSecond = results.itemsPerSecond;
+      stats.errors = results.errors;
+      stats.refresh.unchanged = results.skipped;
+    }
+
+    stats.moreCommentsRecovered = fetcher.stats.moreCommentsRecovered;
+    stats.filtered = fetcher.stats.filtered;
 
-    // Send completion message
     parentPort.postMessage({
       type: 'complete',
       subreddit,
       success: true,
-      stats: {
-        posts: ingestionResults.posts,
-        comments: ingestionResults.comments,
-        successful: ingestionResults.successful,
-        failed: ingestionResults.failed,
-        errors: ingestionResults.errors
-      }
+      cancelled,
+      stats
     });
 
-    logger.info(`Channel worker completed for ${subreddit}`);
+    logger.info(`Refresh worker completed for ${subreddit}`);
 
   } catch (error) {
-    logger.error(`Channel worker failed for ${subreddit}: ${error.message}`);
+    logger.error(`Refresh worker failed for ${subreddit}: ${error.message}`);
 
     parentPort.postMessage({
       type: 'error',
@@ -100,8 +617,17 @@ async function processChannel() {
   }
 }
 
+/**
+ * Pick the worker routine for the requested mode
+ */
+function run() {
+  if (workerData.backfill) return processBackfill();
+  if (workerData.refresh) return processRefresh();
+  return processChannel();
+}
+
 // Start processing
-processChannel().catch(error => {
+run().catch(error => {
   logger.error(`Unhandled error in worker: ${error.message}`);
   parentPort.postMessage({
     type: 'error',
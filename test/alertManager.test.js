@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertManager } from '../src/alerts/alertManager.js';
+
+/**
+ * In-memory alert store whose saves can be made to fail
+ */
+function memoryStore() {
+  const keys = new Set();
+  return {
+    failSaves: false,
+    has: alert => keys.has(`${alert.rule}|${alert.postId}`),
+    record: alert => keys.add(`${alert.rule}|${alert.postId}`),
+    save() {
+      if (this.failSaves) throw new Error('disk full');
+    }
+  };
+}
+
+const alert = { rule: 'outage', postId: 'p1', url: 'https://reddit.com/p1', title: 'Down?', excerpt: 'Is it down?', matched: ['down'], author: 'builder' };
+
+test('repeat alerts for the same rule and post are suppressed', async () => {
+  const manager = new AlertManager({ store: memoryStore() });
+
+  assert.ok(manager.handle('r/lovable', alert));
+  assert.equal(manager.handle('r/lovable', alert), null);
+  await manager.flush();
+
+  assert.equal(manager.counts.suppressed, 1);
+});
+
+test('a failing save or onAlert after delivery is logged, not left unhandled', async () => {
+  const store = memoryStore();
+  const manager = new AlertManager({ store, onAlert: () => { throw new Error('subscriber gone'); } });
+  const unhandled = [];
+  const onUnhandled = reason => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+
+  try {
+    manager.handle('r/lovable', alert);
+    store.failSaves = true;
+    manager.handle('r/lovable', { ...alert, postId: 'p2' });
+    await manager.flush();
+    await new Promise(resolve => setImmediate(resolve));
+  } finally {
+    process.off('unhandledRejection', onUnhandled);
+  }
+
+  assert.deepEqual(unhandled, []);
+  assert.equal(manager.pending.size, 0);
+});
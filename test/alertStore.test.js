@@ -0,0 +1,69 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { AlertStore } from '../src/storage/alertStore.js';
+
+beforeEach(() => {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'alertstore-'));
+});
+
+function alert(postId, alertedAt = new Date().toISOString()) {
+  return { channel: 'r/lovable', rule: 'outage', postId, alertedAt, delivery: 'pending' };
+}
+
+test('stores sharing the file keep each other\'s alerts', () => {
+  // As in two processes, e.g. the web server and the daemon
+  const server = new AlertStore();
+  const daemon = new AlertStore();
+
+  server.record(alert('p1'));
+  server.save();
+  daemon.record(alert('p2'));
+  daemon.save();
+
+  const saved = new AlertStore();
+  assert.deepEqual(saved.getAlerts().map(entry => entry.postId), ['p2', 'p1']);
+  assert.ok(saved.has(alert('p1')));
+  assert.ok(saved.has(alert('p2')));
+});
+
+test('a repeat alerted by another store is suppressed', () => {
+  const server = new AlertStore();
+  const daemon = new AlertStore();
+
+  server.record(alert('p1'));
+  server.save();
+
+  assert.equal(daemon.has(alert('p1')), true);
+  assert.deepEqual(daemon.getAlerts().map(entry => entry.postId), ['p1']);
+});
+
+test('delivery status updates are saved without dropping others\' alerts', () => {
+  const server = new AlertStore();
+  const daemon = new AlertStore();
+  const entry = alert('p1');
+
+  server.record(entry);
+  server.save();
+  daemon.record(alert('p2'));
+  daemon.save();
+
+  entry.delivery = 'sent';
+  server.save();
+
+  const saved = new AlertStore().getAlerts();
+  assert.deepEqual(saved.map(({ postId, delivery }) => ({ postId, delivery })), [
+    { postId: 'p2', delivery: 'pending' },
+    { postId: 'p1', delivery: 'sent' }
+  ]);
+});
+
+test('save forgets suppression keys past the suppression period', () => {
+  const store = new AlertStore();
+  store.record(alert('old', new Date(Date.now() - 91 * 24 * 60 * 60 * 1000).toISOString()));
+  store.save();
+
+  assert.equal(new AlertStore().has(alert('old')), false);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContentFilter } from '../src/reddit/contentFilter.js';
+
+function post(overrides = {}) {
+  return { id: 'p1', author: 'builder', title: 'Shipping my app', selftext: 'Built it in a weekend', is_self: true, score: 5, ...overrides };
+}
+
+test('default bots are blocked unless defaultBots is false', () => {
+  assert.equal(new ContentFilter().checkComment({ author: 'AutoModerator', body: 'Rules', score: 1 }), 'blockedAuthor');
+  assert.equal(new ContentFilter({ defaultBots: false }).checkComment({ author: 'AutoModerator', body: 'Rules', score: 1 }), null);
+  assert.equal(new ContentFilter({ blockedAuthors: ['Spammer'] }).checkPost(post({ author: 'spammer' })), 'blockedAuthor');
+});
+
+test('post rules are checked in order', () => {
+  const filter = new ContentFilter({ skipStickied: true, skipNsfw: true, skipSpoilers: true, minScore: 2 });
+
+  assert.equal(filter.checkPost(post({ stickied: true, over_18: true })), 'stickied');
+  assert.equal(filter.checkPost(post({ over_18: true })), 'nsfw');
+  assert.equal(filter.checkPost(post({ spoiler: true })), 'spoiler');
+  assert.equal(filter.checkPost(post({ score: 1 })), 'minScore');
+  assert.equal(filter.checkPost(post()), null);
+});
+
+test('flair include and exclude lists are case-insensitive', () => {
+  const include = new ContentFilter({ flairs: { include: ['Showcase'] } });
+  assert.equal(include.checkPost(post({ link_flair_text: 'showcase' })), null);
+  assert.equal(include.checkPost(post({ link_flair_text: 'Meme' })), 'flair');
+  assert.equal(include.checkPost(post()), 'flair');
+
+  const exclude = new ContentFilter({ flairs: { exclude: ['meme'] } });
+  assert.equal(exclude.checkPost(post({ link_flair_text: 'Meme' })), 'flair');
+  assert.equal(exclude.checkPost(post()), null);
+});
+
+test('minBodyLength applies to self posts and comments, not link posts', () => {
+  const filter = new ContentFilter({ minBodyLength: 30 });
+
+  assert.equal(filter.checkPost(post({ title: 'Hi', selftext: '' })), 'minBodyLength');
+  assert.equal(filter.checkPost(post({ title: 'Hi', selftext: '', is_self: false })), null);
+  assert.equal(filter.checkComment({ author: 'builder', body: '  +1  ', score: 3 }), 'minBodyLength');
+});
+
+test('a post rejected in several listings is counted once', () => {
+  const filter = new ContentFilter({ minScore: 10 });
+
+  assert.equal(filter.rejectPost(post()), true);
+  assert.equal(filter.rejectPost(post()), true);
+  assert.equal(filter.rejectComment({ author: 'builder', body: 'Nice', score: 0 }), true);
+  assert.equal(filter.rejectPost(post({ id: 'p2', score: 10 })), false);
+
+  assert.deepEqual(filter.counts, { minScore: 2 });
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { CronExpression } from '../src/scheduler/cron.js';
+import { parseSchedule } from '../src/config/loader.js';
+import { Scheduler } from '../src/scheduler/scheduler.js';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cron-data-'));
+
+// No process has this PID (Linux caps PIDs at 2^22)
+const DEAD_PID = 2 ** 22 + 1;
+
+// Local time, as cron expressions are evaluated in the server's time zone
+const at = (...parts) => new Date(2024, ...parts);
+
+test('CronExpression finds the next matching minute', () => {
+  assert.deepEqual(new CronExpression('*/15 * * * *').next(at(0, 1, 10, 7)), at(0, 1, 10, 15));
+  assert.deepEqual(new CronExpression('30 9 * * mon-fri').next(at(0, 6, 12, 0)), at(0, 8, 9, 30)); // Saturday -> Monday
+  assert.deepEqual(new CronExpression('@daily').next(at(0, 1, 0, 0)), at(0, 2, 0, 0));
+  assert.deepEqual(new CronExpression('0 0 29 feb *').next(at(2, 1)), new Date(2028, 1, 29));
+});
+
+test('CronExpression matches either restricted day field, like standard cron', () => {
+  const cron = new CronExpression('0 0 13 * fri');
+  assert.deepEqual(cron.next(at(8, 1)), at(8, 6)); // Friday before the 13th
+  assert.deepEqual(cron.next(at(8, 12)), at(8, 13)); // Friday the 13th
+});
+
+test('CronExpression rejects malformed expressions', () => {
+  for (const expression of ['* * * *', '60 * * * *', '* * 0 * *', '5-1 * * * *', '*/0 * * * *', '* * * foo *']) {
+    assert.throws(() => new CronExpression(expression), undefined, expression);
+  }
+});
+
+test('parseSchedule rejects cron expressions that never match', () => {
+  assert.throws(() => parseSchedule('0 0 31 2 *'), /never matches/);
+  assert.throws(() => parseSchedule({ cron: '0 0 30 feb *', hours: 2 }), /never matches/);
+});
+
+test('parseSchedule fills in the run parameters', () => {
+  assert.deepEqual(parseSchedule('@hourly'), { cron: '@hourly', hours: null, days: null, sinceLastRun: true, refresh: false });
+  assert.deepEqual(parseSchedule({ cron: '0 */6 * * *', days: 3, refresh: true }), { cron: '0 */6 * * *', hours: null, days: 3, sinceLastRun: false, refresh: true });
+  assert.throws(() => parseSchedule({ cron: '@hourly', hours: 1, days: 1 }), /both hours and days/);
+  assert.throws(() => parseSchedule({ cron: '@hourly', refresh: true }), /refresh requires/);
+});
+
+test('Scheduler skips a schedule that never matches and keeps the others', () => {
+  process.env.REDDIT_CLIENT_ID = 'id';
+  process.env.REDDIT_CLIENT_SECRET = 'secret';
+
+  const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cron-test-')), 'channels.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    'r/scheduled': { enabled: true, schedule: '@hourly' },
+    'r/global': { enabled: true }
+  }));
+
+  const jobManager = { getRunningChannels: () => new Set() };
+  const scheduler = new Scheduler(jobManager, {
+    configPath,
+    schedule: { cron: '0 0 31 2 *', hours: 1, days: null, sinceLastRun: false, refresh: false }
+  });
+
+  scheduler.reload();
+
+  const schedules = scheduler.getSchedules();
+  assert.equal(schedules.length, 1);
+  assert.deepEqual(schedules[0].channels, ['r/scheduled']);
+});
+
+test('Scheduler keeps ticking when a schedule fails to start its job', () => {
+  const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cron-test-')), 'channels.json');
+  fs.writeFileSync(configPath, JSON.stringify({ 'r/scheduled': { enabled: true, schedule: '@hourly' } }));
+
+  const jobManager = {
+    getRunningChannels: () => new Set(),
+    createJob: () => { throw new Error('store unavailable'); }
+  };
+  const scheduler = new Scheduler(jobManager, { configPath });
+
+  scheduler.reload();
+  const [schedule] = scheduler.schedules.values();
+  schedule.nextRunAt = new Date(Date.now() - 1000);
+
+  try {
+    assert.doesNotThrow(() => scheduler.tick());
+    // tick() reloads the schedules, carrying over their state
+    const [ticked] = scheduler.schedules.values();
+    assert.ok(ticked.lastRunAt);
+    assert.ok(ticked.nextRunAt > new Date());
+  } finally {
+    scheduler.stop();
+  }
+});
+
+function dueScheduler() {
+  const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cron-test-')), 'channels.json');
+  fs.writeFileSync(configPath, JSON.stringify({ 'r/scheduled': { enabled: true, schedule: '@hourly' } }));
+
+  const started = [];
+  const jobManager = {
+    getRunningChannels: () => new Set(),
+    createJob: channels => { started.push(channels.map(ch => ch.subreddit)); return started.length; },
+    startJob: async () => {}
+  };
+  const scheduler = new Scheduler(jobManager, { configPath });
+
+  scheduler.reload();
+  scheduler.schedules.values().next().value.nextRunAt = new Date(Date.now() - 1000);
+  return { scheduler, started };
+}
+
+test('Scheduler stands by while another live process holds the lease', () => {
+  const { scheduler, started } = dueScheduler();
+  fs.writeFileSync(scheduler.leasePath, JSON.stringify({ pid: process.ppid }));
+
+  try {
+    scheduler.tick();
+    assert.deepEqual(started, []);
+    assert.equal(scheduler.isOwner, false);
+
+    // Passed-over runs are not made up for later
+    assert.ok(scheduler.schedules.values().next().value.nextRunAt > new Date());
+  } finally {
+    scheduler.stop();
+  }
+  assert.equal(JSON.parse(fs.readFileSync(scheduler.leasePath, 'utf8')).pid, process.ppid);
+});
+
+test('Scheduler takes over the lease of a process that stopped', () => {
+  const { scheduler, started } = dueScheduler();
+  fs.writeFileSync(scheduler.leasePath, JSON.stringify({ pid: DEAD_PID }));
+
+  try {
+    scheduler.tick();
+    assert.deepEqual(started, [['r/scheduled']]);
+    assert.equal(JSON.parse(fs.readFileSync(scheduler.leasePath, 'utf8')).pid, process.pid);
+  } finally {
+    scheduler.stop();
+  }
+  assert.equal(fs.existsSync(scheduler.leasePath), false);
+});
@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RedditFetcher } from '../src/reddit/fetcher.js';
+
+const START = 1704067200; // 2024-01-01T00:00:00Z
+const END = START + 24 * 60 * 60;
+
+function archivedPost(id, created_utc, overrides = {}) {
+  return { id, created_utc, title: `Post ${id}`, selftext: 'text', author: 'builder', score: 1, ...overrides };
+}
+
+/**
+ * Archive returning the posts created after/before the requested bounds, a page at a time
+ */
+function fakeArchive(posts, pageSize = 100) {
+  const requests = [];
+  return {
+    requests,
+    async searchPosts(subreddit, after, before) {
+      requests.push({ subreddit, after, before });
+      return posts.filter(post => post.created_utc > after && post.created_utc < before).slice(0, pageSize);
+    }
+  };
+}
+
+function makeFetcher(archive, options = {}) {
+  return new RedditFetcher('id', 'secret', 'r/lovable', { archive, ...options });
+}
+
+test('collectWindow takes the window posts the archive returns', async () => {
+  const archive = fakeArchive([
+    archivedPost('a', START),
+    archivedPost('b', START + 60),
+    archivedPost('c', END, { selftext: '[removed]' })
+  ]);
+  const candidates = new Map();
+
+  await makeFetcher(archive).collectWindow(START, END, candidates, Infinity);
+
+  assert.deepEqual([...candidates.keys()], ['a', 'b']);
+  assert.deepEqual(candidates.get('a').listings, ['backfill']);
+  assert.equal(archive.requests[0].subreddit, 'r/lovable');
+});
+
+test('collectWindow pages through full pages by creation time', async () => {
+  const posts = Array.from({ length: 250 }, (_, index) => archivedPost(`p${index}`, START + index * 60));
+  const archive = fakeArchive(posts);
+  const candidates = new Map();
+
+  await makeFetcher(archive).collectWindow(START, END, candidates, Infinity);
+
+  assert.equal(candidates.size, 250);
+  assert.equal(archive.requests.length, 3);
+  assert.equal(archive.requests[1].after, posts[99].created_utc - 1);
+});
+
+test('collectWindow keeps posts sharing the second a page ends on', async () => {
+  const posts = [
+    ...Array.from({ length: 99 }, (_, index) => archivedPost(`p${index}`, START + index)),
+    ...['x', 'y', 'z'].map(id => archivedPost(id, START + 500))
+  ];
+  const archive = fakeArchive(posts);
+  const candidates = new Map();
+
+  await makeFetcher(archive).collectWindow(START, END, candidates, Infinity);
+
+  assert.equal(candidates.size, 102);
+  assert.ok(['x', 'y', 'z'].every(id => candidates.has(id)));
+});
+
+test('collectWindow fails when a full page shares one second', async () => {
+  const archive = fakeArchive(Array.from({ length: 150 }, (_, index) => archivedPost(`p${index}`, START + 60)));
+
+  await assert.rejects(
+    makeFetcher(archive).collectWindow(START, END, new Map(), Infinity),
+    /stopped advancing/
+  );
+});
+
+test('collectWindow fails loudly when the source ignores the time bounds', async () => {
+  const archive = {
+    async searchPosts() {
+      return [archivedPost('new', END + 7 * 24 * 60 * 60)];
+    }
+  };
+
+  await assert.rejects(
+    makeFetcher(archive).collectWindow(START, END, new Map(), Infinity),
+    /outside the requested window/
+  );
+});
+
+test('collectWindow applies the channel filters and the test mode limit', async () => {
+  const archive = fakeArchive(Array.from({ length: 10 }, (_, index) => archivedPost(`p${index}`, START + index, { score: index })));
+  const candidates = new Map();
+
+  await makeFetcher(archive, { filters: { minScore: 3 } }).collectWindow(START, END, candidates, 5);
+
+  assert.deepEqual([...candidates.keys()], ['p3', 'p4', 'p5', 'p6', 'p7']);
+});
+
+function listingPage(posts, after = null) {
+  return { data: { after, children: posts.map(data => ({ kind: 't3', data: { title: data.id, selftext: 'text', author: 'builder', score: 1, ...data } })) } };
+}
+
+test('collectFromSource stops /new at the first post older than the cutoff', async () => {
+  const fetcher = makeFetcher(null);
+  fetcher.fetchListingPage = async () => listingPage([
+    { id: 'new', created_utc: END },
+    { id: 'old', created_utc: START - 1 },
+    { id: 'older', created_utc: START - 2 }
+  ]);
+  const candidates = new Map();
+
+  const { reason } = await fetcher.collectFromSource({ sort: 'new', window: true, label: 'new' }, candidates, { cutoffTime: START });
+
+  assert.equal(reason, 'cutoff');
+  assert.deepEqual([...candidates.keys()], ['new']);
+});
+
+test('collectFromSource takes old posts from listings that ignore the window, up to their limit', async () => {
+  const fetcher = makeFetcher(null);
+  fetcher.fetchListingPage = async () => listingPage([
+    { id: 'climbing', created_utc: START - 5 * 24 * 60 * 60 },
+    { id: 'recent', created_utc: END },
+    { id: 'third', created_utc: START - 60 }
+  ], 't3_next');
+  const candidates = new Map();
+
+  const { reason } = await fetcher.collectFromSource({ sort: 'top', time: 'week', limit: 2, window: false, label: 'top?t=week' }, candidates, { cutoffTime: START });
+
+  assert.equal(reason, 'limit');
+  assert.deepEqual([...candidates.keys()], ['climbing', 'recent']);
+});
+
+test('collectFromSource skips old posts from windowed non-chronological listings', async () => {
+  const fetcher = makeFetcher(null);
+  fetcher.fetchListingPage = async () => listingPage([
+    { id: 'climbing', created_utc: START - 5 * 24 * 60 * 60 },
+    { id: 'recent', created_utc: END }
+  ]);
+  const candidates = new Map();
+
+  const { reason } = await fetcher.collectFromSource({ sort: 'hot', window: true, label: 'hot' }, candidates, { cutoffTime: START });
+
+  assert.equal(reason, 'exhausted');
+  assert.deepEqual([...candidates.keys()], ['recent']);
+});
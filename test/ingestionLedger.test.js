@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+
+const { IngestionLedger } = await import('../src/storage/ingestionLedger.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function redditPost(id) {
+  return { subreddit: 'r/ledger', post: { id, created_utc: Math.floor(Date.now() / 1000) } };
+}
+
+function postItem(id) {
+  return { id: `reddit_post_${id}`, isComment: false, likes: 1, comments: 0 };
+}
+
+test('recordPost saves in batches, and save() writes the rest', () => {
+  const ledger = new IngestionLedger('r/batched');
+
+  for (let i = 0; i < 49; i++) {
+    ledger.recordPost(redditPost(`p${i}`), [postItem(`p${i}`)]);
+  }
+  assert.equal(fs.existsSync(ledger.filePath), false);
+
+  ledger.recordPost(redditPost('p49'), [postItem('p49')]);
+  assert.equal(Object.keys(new IngestionLedger('r/batched').data.posts).length, 50);
+
+  ledger.recordPost(redditPost('p50'), [postItem('p50')]);
+  ledger.save();
+  assert.equal(Object.keys(new IngestionLedger('r/batched').data.posts).length, 51);
+});
+
+test('save drops posts not ingested or refreshed within the retention period', () => {
+  const ledger = new IngestionLedger('r/expiring', { retentionDays: 7 });
+  const old = new Date(Date.now() - 8 * DAY_MS).toISOString();
+
+  ledger.recordPost(redditPost('stale'), [postItem('stale'), { id: 'reddit_comment_c1', isComment: true }]);
+  ledger.recordPost(redditPost('refreshed'), [postItem('refreshed')]);
+  ledger.recordPost(redditPost('fresh'), [postItem('fresh')]);
+  ledger.recordItems([{ id: 'reddit_comment_replayed', isComment: true }], 'unknown');
+
+  ledger.data.posts.stale.ingestedAt = old;
+  ledger.data.posts.refreshed.ingestedAt = old;
+  ledger.data.posts.refreshed.refreshedAt = new Date().toISOString();
+  ledger.data.items.reddit_comment_replayed.ingestedAt = old;
+  ledger.save();
+
+  const saved = new IngestionLedger('r/expiring');
+  assert.deepEqual(Object.keys(saved.data.posts).sort(), ['fresh', 'refreshed']);
+  assert.deepEqual(Object.keys(saved.data.items).sort(), ['reddit_post_fresh', 'reddit_post_refreshed']);
+});
+
+test('getItemStatus compares payload hashes', () => {
+  const ledger = new IngestionLedger('r/status');
+  const item = postItem('p1');
+
+  assert.equal(ledger.getItemStatus(item), 'new');
+  ledger.recordPost(redditPost('p1'), [item]);
+  assert.equal(ledger.getItemStatus(item), 'unchanged');
+  assert.equal(ledger.getItemStatus({ ...item, likes: 2 }), 'updated');
+});
@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { IngestorSink } from '../src/sinks/ingestorSink.js';
+
+let server;
+let url;
+let batchResponse;
+let singleCalls;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url.startsWith('/ingest/batch')) {
+        res.end(JSON.stringify(batchResponse(payload.items)));
+      } else {
+        singleCalls.push(payload.id);
+        res.end(JSON.stringify({ base_id: `single-${payload.id}`, chunks_created: 1 }));
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function makeSink() {
+  singleCalls = [];
+  return new IngestorSink({ url, token: 'token', batchSize: 3 });
+}
+
+const items = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+test('send uses the batch results when they cover every item', async () => {
+  batchResponse = batch => ({ results: batch.map(item => ({ status: 'ok', base_id: `batch-${item.id}` })) });
+  const sink = makeSink();
+
+  const results = await sink.send(items);
+
+  assert.deepEqual(results.map(result => result.chromaId), ['batch-a', 'batch-b', 'batch-c']);
+  assert.deepEqual(singleCalls, []);
+});
+
+test('send retries items missing from a short results array one at a time', async () => {
+  batchResponse = batch => ({ results: [{ status: 'ok', base_id: `batch-${batch[0].id}` }] });
+  const sink = makeSink();
+
+  const results = await sink.send(items);
+
+  assert.deepEqual(results.map(result => result.chromaId), ['batch-a', 'single-b', 'single-c']);
+  assert.deepEqual(singleCalls, ['b', 'c']);
+});
+
+test('send does not count a batch response without results as success', async () => {
+  batchResponse = () => ({ ok: true });
+  const sink = makeSink();
+
+  const results = await sink.send(items);
+
+  assert.deepEqual(singleCalls, ['a', 'b', 'c']);
+  assert.ok(results.every(result => result.success && result.chromaId.startsWith('single-')));
+});
+
+test('send keeps the failures the batch reports', async () => {
+  batchResponse = batch => ({
+    results: batch.map(item => item.id === 'b'
+      ? { status: 'error', error: 'too long' }
+      : { status: 'ok', base_id: `batch-${item.id}` })
+  });
+  const sink = makeSink();
+
+  const results = await sink.send(items);
+
+  assert.deepEqual(results.map(result => result.success), [true, false, true]);
+  assert.equal(results[1].error, 'too long');
+  assert.deepEqual(singleCalls, []);
+});
@@ -0,0 +1,122 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JobStore } from '../src/storage/jobStore.js';
+import { JobManager } from '../src/web/jobManager.js';
+
+// No process has this PID (Linux caps PIDs at 2^22)
+const DEAD_PID = 2 ** 22 + 1;
+
+beforeEach(() => {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'jobmanager-'));
+});
+
+function runningJob(id, pid) {
+  return {
+    id,
+    status: 'running',
+    pid,
+    params: {},
+    createdAt: new Date().toISOString(),
+    channels: [
+      { subreddit: 'r/a', status: 'completed' },
+      { subreddit: 'r/b', status: 'fetching' }
+    ]
+  };
+}
+
+test('jobs of processes that stopped are marked interrupted on startup', () => {
+  new JobStore().save(runningJob(1, DEAD_PID));
+
+  const job = new JobManager().jobs.get(1);
+
+  assert.equal(job.status, 'interrupted');
+  assert.deepEqual(job.channels.map(ch => ch.status), ['completed', 'failed']);
+  assert.equal(new JobStore().load().get(1).status, 'interrupted');
+});
+
+test('jobs still run by another process sharing the store are left alone', () => {
+  new JobStore().save(runningJob(1, process.ppid));
+
+  const job = new JobManager().jobs.get(1);
+
+  assert.equal(job.status, 'running');
+  assert.equal(job.channels[1].status, 'fetching');
+});
+
+function finishedJob(id) {
+  return {
+    ...runningJob(id, process.pid),
+    status: 'completed_with_errors',
+    channels: [
+      { subreddit: 'r/a', status: 'completed' },
+      { subreddit: 'r/b', status: 'failed', error: 'Reddit unavailable' }
+    ]
+  };
+}
+
+const configured = [{ subreddit: 'r/a' }, { subreddit: 'r/b' }];
+
+test('retryJob creates a linked job for the failed channels', () => {
+  new JobStore().save(finishedJob(1));
+  const jobManager = new JobManager();
+
+  const retry = jobManager.retryJob(1, configured);
+
+  assert.deepEqual(retry.channels.map(ch => ch.subreddit), ['r/b']);
+  assert.equal(jobManager.jobs.get(retry.jobId).retryOf, 1);
+  assert.deepEqual(jobManager.jobs.get(1).retriedBy, [retry.jobId]);
+});
+
+test('retryJob rejects a second retry while the first is active', () => {
+  new JobStore().save(finishedJob(1));
+  const jobManager = new JobManager();
+
+  const retry = jobManager.retryJob(1, configured);
+
+  assert.throws(() => jobManager.retryJob(1, configured), new RegExp(`already being retried by job ${retry.jobId}`));
+
+  const retryJob = jobManager.jobs.get(retry.jobId);
+  retryJob.status = 'failed';
+  retryJob.channels[0].status = 'failed';
+  jobManager.store.save(retryJob);
+  assert.ok(jobManager.retryJob(1, configured));
+});
+
+test('retryJob rejects channels another job is running', () => {
+  const store = new JobStore();
+  store.save(finishedJob(1));
+  store.save(runningJob(2, process.ppid));
+  const jobManager = new JobManager();
+
+  assert.throws(() => jobManager.retryJob(1, configured), /running in another job.*r\/b/);
+});
+
+test('jobs other processes add to or update in the store are seen without a restart', () => {
+  const jobManager = new JobManager();
+  const store = new JobStore();
+  const job = runningJob(store.allocateId(), process.ppid);
+
+  store.save(job);
+  assert.deepEqual(jobManager.findJobs().jobs.map(found => found.id), [job.id]);
+  assert.deepEqual([...jobManager.getRunningChannels()], ['r/b']);
+  assert.throws(() => jobManager.cancelJob(job.id), /run by another process/);
+
+  store.save({ ...job, status: 'completed_with_errors', channels: finishedJob(job.id).channels });
+  assert.deepEqual([...jobManager.getRunningChannels()], []);
+
+  const retry = jobManager.retryJob(job.id, configured);
+  assert.deepEqual(retry.channels.map(ch => ch.subreddit), ['r/b']);
+  assert.deepEqual(new JobManager().getJobSummary(job.id).retriedBy, [retry.jobId]);
+});
+
+test('active jobs of processes that stopped do not hold their channels', () => {
+  const jobManager = new JobManager();
+  const store = new JobStore();
+
+  store.save(runningJob(store.allocateId(), DEAD_PID));
+
+  assert.deepEqual([...jobManager.getRunningChannels()], []);
+});
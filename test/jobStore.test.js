@@ -0,0 +1,88 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JobStore } from '../src/storage/jobStore.js';
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobstore-'));
+  process.env.DATA_DIR = dataDir;
+});
+
+function logLines() {
+  return fs.readFileSync(path.join(dataDir, 'jobs', 'jobs.jsonl'), 'utf8').split('\n').filter(Boolean);
+}
+
+test('load replays the log, keeping the last snapshot of each job', () => {
+  const store = new JobStore();
+  store.save({ id: 1, status: 'pending' });
+  store.save({ id: 2, status: 'pending' });
+  store.save({ id: 1, status: 'completed' });
+  store.delete(2);
+  store.save({ id: 3, status: 'running' });
+
+  const jobs = new JobStore().load();
+
+  assert.deepEqual([...jobs.keys()], [1, 3]);
+  assert.equal(jobs.get(1).status, 'completed');
+  assert.equal(logLines().length, 2, 'superseded lines are compacted away');
+});
+
+test('a partial last line left by a crash is skipped', () => {
+  const store = new JobStore();
+  store.save({ id: 1, status: 'completed' });
+  fs.appendFileSync(path.join(dataDir, 'jobs', 'jobs.jsonl'), '{"id":2,"sta');
+
+  const jobs = new JobStore().load();
+  assert.deepEqual([...jobs.keys()], [1]);
+});
+
+test('IDs are never reused, even after the newest job is deleted', () => {
+  const store = new JobStore();
+  const id = store.allocateId();
+  store.save({ id });
+  store.delete(id);
+
+  const reopened = new JobStore();
+  reopened.load();
+  assert.equal(reopened.allocateId(), id + 1);
+});
+
+test('stores sharing the directory never hand out the same ID', () => {
+  const server = new JobStore();
+  const cli = new JobStore();
+  server.load();
+  cli.load();
+
+  const ids = [server.allocateId(), cli.allocateId(), server.allocateId(), cli.allocateId()];
+  assert.deepEqual(ids, [1, 2, 3, 4]);
+});
+
+test('compacting keeps jobs appended by another store', () => {
+  const server = new JobStore();
+  const cli = new JobStore();
+  server.save({ id: 1, status: 'completed' });
+  server.load();
+
+  cli.save({ id: 2, status: 'running' });
+  server.delete(1);
+  server.compact();
+
+  const jobs = new JobStore().load();
+  assert.deepEqual([...jobs.keys()], [2]);
+});
+
+test('a lock left by a crashed process does not block the store forever', () => {
+  const store = new JobStore();
+  const lockPath = `${store.filePath}.lock`;
+  fs.writeFileSync(lockPath, '');
+  const past = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockPath, past, past);
+
+  store.save({ id: 1 });
+  assert.equal(logLines().length, 1);
+  assert.equal(fs.existsSync(lockPath), false);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEnabledChannels, parseChannelOverrides, applyChannelOverrides } from '../src/config/loader.js';
+
+process.env.REDDIT_CLIENT_ID = 'id';
+process.env.REDDIT_CLIENT_SECRET = 'secret';
+
+function listingsOf(listings) {
+  const [channel] = getEnabledChannels({ 'r/lovable': { enabled: true, listings } });
+  return channel.listings;
+}
+
+test('listings other than /new ignore the time window unless they opt in', () => {
+  const [newest, top, hot, rising] = listingsOf(['new', 'top?t=week&limit=50', { sort: 'hot', window: true }, 'rising?window=true']);
+
+  assert.deepEqual(newest, { sort: 'new', time: null, limit: null, window: true, label: 'new' });
+  assert.deepEqual(top, { sort: 'top', time: 'week', limit: 50, window: false, label: 'top?t=week' });
+  assert.equal(hot.window, true);
+  assert.equal(hot.limit, null);
+  assert.equal(rising.window, true);
+});
+
+test('listings that ignore the time window are bounded by a default limit', () => {
+  const [hot, controversial] = listingsOf([{ sort: 'hot' }, 'controversial?t=day&window=false']);
+
+  assert.equal(hot.limit, 100);
+  assert.equal(controversial.window, false);
+  assert.equal(controversial.limit, 100);
+});
+
+test('/new always uses the time window', () => {
+  const [newest] = listingsOf([{ sort: 'new', window: false }]);
+  assert.equal(newest.window, true);
+});
+
+test('unknown listings are skipped', () => {
+  assert.deepEqual(listingsOf(['best', 'new']).map(source => source.sort), ['new']);
+});
+
+test('parseChannelOverrides parses window, test mode and comment overrides', () => {
+  const overrides = parseChannelOverrides({
+    'r/a': { days: 3, testMode: false, comments: { depth: 3, limit: 100 } },
+    'r/b': { comments: { depth: 2 } }
+  }, ['r/a', 'r/b']);
+
+  assert.deepEqual(overrides['r/a'], { hours: null, days: 3, testMode: false, comments: { depth: 3, limit: 100 } });
+  assert.deepEqual(overrides['r/b'], { hours: null, days: null, testMode: null, comments: { depth: 2, limit: undefined } });
+});
+
+test('parseChannelOverrides rejects invalid overrides', () => {
+  const invalid = [
+    [[], /object keyed by channel/],
+    [{ 'r/other': { hours: 1 } }, /not one of the channels/],
+    [{ 'r/a': { hours: 1, days: 1 } }, /both hours and days/],
+    [{ 'r/a': { hours: -1 } }, /hours must be a positive number/],
+    [{ 'r/a': { testMode: 'yes' } }, /testMode must be true or false/],
+    [{ 'r/a': { comments: { depth: 1.5 } } }, /comments.depth must be a positive integer/]
+  ];
+
+  for (const [overrides, error] of invalid) {
+    assert.throws(() => parseChannelOverrides(overrides, ['r/a']), error);
+  }
+});
+
+test('parseChannelOverrides rejects window overrides that would have no effect', () => {
+  assert.throws(() => parseChannelOverrides({ 'r/a': { hours: 48 } }, ['r/a'], { sinceLastRun: true }), /since the last run/);
+  assert.throws(() => parseChannelOverrides({ 'r/a': { days: 7 } }, ['r/a'], { backfill: true }), /backfill/);
+
+  assert.deepEqual(
+    parseChannelOverrides({ 'r/a': { testMode: true } }, ['r/a'], { sinceLastRun: true, backfill: true })['r/a'].testMode,
+    true
+  );
+});
+
+test('applyChannelOverrides replaces the window, refresh window and test mode', () => {
+  const params = { hours: 24, days: null, testMode: true, sinceLastRun: false, refresh: { hours: 24, days: null } };
+
+  assert.deepEqual(applyChannelOverrides(params, null), { ...params, comments: null });
+  assert.deepEqual(
+    applyChannelOverrides(params, { hours: null, days: 3, testMode: false, comments: { depth: 2 } }),
+    { hours: null, days: 3, testMode: false, sinceLastRun: false, refresh: { hours: null, days: 3 }, comments: { depth: 2 } }
+  );
+});
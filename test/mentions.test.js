@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MentionDetector } from '../src/processing/mentions.js';
+
+const detector = new MentionDetector([
+  { name: 'v0', aliases: ['v0.dev'] },
+  { name: 'Bolt', aliases: ['bolt.new'] },
+  { name: 'Lovable', aliases: [] }
+]);
+
+test('detects platform names and aliases case-insensitively, in configuration order', () => {
+  assert.deepEqual(detector.detect('Moved from LOVABLE to bolt.new, then tried v0.dev'), ['v0', 'Bolt', 'Lovable']);
+  assert.deepEqual(detector.detect('Is v0 better than Bolt?'), ['v0', 'Bolt']);
+  assert.deepEqual(detector.detect('Posted in r/v0 yesterday'), ['v0']);
+});
+
+test('a mention ends at punctuation but not inside a longer word, domain or version', () => {
+  assert.deepEqual(detector.detect('I use v0.'), ['v0']);
+  assert.deepEqual(detector.detect('(bolt), then lovable!'), ['Bolt', 'Lovable']);
+
+  assert.deepEqual(detector.detect('Upgraded to node v0.2'), []);
+  assert.deepEqual(detector.detect('dev0 and v0-alpha'), []);
+  assert.deepEqual(detector.detect('thunderbolt boltzmann lovableish'), []);
+  assert.deepEqual(detector.detect('see bolt.example.com or my.lovable'), []);
+});
+
+test('empty text mentions nothing', () => {
+  assert.deepEqual(detector.detect(''), []);
+  assert.deepEqual(detector.detect(null), []);
+  assert.deepEqual(new MentionDetector().detect('v0'), []);
+});
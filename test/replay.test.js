@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+
+const { replayDeadLetters } = await import('../src/ingestion/replay.js');
+const { DeadLetterStore } = await import('../src/storage/deadLetterStore.js');
+const { IngestionLedger } = await import('../src/storage/ingestionLedger.js');
+
+const configPath = path.join(process.env.DATA_DIR, 'channels.json');
+fs.writeFileSync(configPath, JSON.stringify({ 'r/replayed': { sinks: ['jsonl'] } }));
+
+function deadLetter(channel, item) {
+  const store = new DeadLetterStore(channel);
+  store.record(item, { sinks: ['jsonl'], error: 'Server error', errorType: 'server_error' }, 'p1');
+  store.save();
+}
+
+test('replayed items are recorded in the ingestion ledger', async () => {
+  const item = { id: 'reddit_post_p1', isComment: false, likes: 3, comments: 0, text: 'post' };
+  deadLetter('r/replayed', item);
+
+  const results = await replayDeadLetters({ channel: 'r/replayed' }, { configPath });
+
+  assert.equal(results.successful, 1);
+  assert.equal(new DeadLetterStore('r/replayed').getEntries().length, 0);
+
+  const ledger = new IngestionLedger('r/replayed');
+  assert.equal(ledger.getItem(item.id).postId, 'p1');
+  assert.equal(ledger.getItemStatus(item), 'unchanged');
+  assert.equal(ledger.getItemStatus({ ...item, likes: 4 }), 'updated');
+});
+
+test('test mode replays leave the ledger untouched', async () => {
+  const item = { id: 'reddit_post_p2', isComment: false, likes: 1, comments: 0, text: 'post' };
+  deadLetter('r/replayed', item);
+
+  await replayDeadLetters({ channel: 'r/replayed' }, { configPath, testMode: true });
+
+  assert.equal(new IngestionLedger('r/replayed').getItem(item.id), null);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SentimentAnalyzer } from '../src/processing/sentiment.js';
+
+const analyzer = new SentimentAnalyzer();
+
+test('scores text by its lexicon words', () => {
+  assert.deepEqual(analyzer.analyze('Lovable is great, love it'), { score: 6, comparative: 1.2, label: 'positive' });
+  assert.equal(analyzer.analyze('Deploys keep failing, so frustrating').label, 'negative');
+  assert.deepEqual(analyzer.analyze(''), { score: 0, comparative: 0, label: 'neutral' });
+});
+
+test('negations flip the next scored word', () => {
+  assert.equal(analyzer.analyze('It is not good').score, -3);
+  assert.equal(analyzer.analyze("It isn't really that bad").score, 3);
+});
+
+test('words that are Object.prototype keys are not scored', () => {
+  const result = analyzer.analyze('The constructor is great, toString valueOf hasOwnProperty __proto__');
+
+  assert.deepEqual(result, { score: 3, comparative: 0.375, label: 'positive' });
+});
+
+test('channel lexicon entries add to and override the defaults', () => {
+  const custom = new SentimentAnalyzer({ lovable: 0, loop: 0, shipped: 2 });
+
+  assert.equal(custom.analyze('Shipped it, stuck in a loop once').score, 0);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'vectordb-test-'));
+
+const { VectorDBIngestion } = await import('../src/ingestion/vectordb.js');
+const { IngestionLedger } = await import('../src/storage/ingestionLedger.js');
+
+const redditPost = {
+  id: 'reddit_post_p1',
+  subreddit: 'r/lovable',
+  post: { id: 'p1', created_utc: 1704067200, url: 'https://reddit.com/p1', author: 'builder', title: 'Shipped', content: 'Built it', num_comments: 0, score: 3 },
+  comments: [],
+  metadata: {}
+};
+
+/**
+ * Sink recording the items it was sent
+ */
+function recordingSink() {
+  const sent = [];
+  return {
+    name: 'recording',
+    sent,
+    async send(items) {
+      sent.push(...items);
+      return items.map(item => ({ success: true, id: item.id }));
+    }
+  };
+}
+
+test('ingestion skips items the ledger recorded unchanged', async () => {
+  const ledger = new IngestionLedger('r/skip');
+  const first = new VectorDBIngestion(null, null, { sink: recordingSink(), ledger });
+  await first.ingestPosts([redditPost], 'Lovable');
+
+  const sink = recordingSink();
+  const results = await new VectorDBIngestion(null, null, { sink, ledger }).ingestPosts([redditPost], 'Lovable');
+
+  assert.equal(sink.sent.length, 0);
+  assert.equal(results.skipped, 1);
+});
+
+test('test mode ignores the ledger and sends every item', async () => {
+  const ledger = new IngestionLedger('r/preview');
+  await new VectorDBIngestion(null, null, { sink: recordingSink(), ledger }).ingestPosts([redditPost], 'Lovable');
+
+  const sink = recordingSink();
+  const results = await new VectorDBIngestion(null, null, { sink, ledger }).ingestPosts([redditPost], 'Lovable', true);
+
+  assert.deepEqual(sink.sent.map(item => item.id), ['p1']);
+  assert.equal(results.newItems, 1);
+  assert.equal(results.skipped, 0);
+});
+
+test('test mode does not write the ledger', async () => {
+  const ledger = new IngestionLedger('r/untouched');
+
+  await new VectorDBIngestion(null, null, { sink: recordingSink(), ledger }).ingestPosts([redditPost], 'Lovable', true);
+
+  assert.equal(ledger.getItem('p1'), null);
+  assert.equal(fs.existsSync(ledger.filePath), false);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Watchlist } from '../src/alerts/watchlist.js';
+import { Redactor } from '../src/processing/redactor.js';
+
+function makePost() {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    post: {
+      id: 'p1',
+      title: 'Leaked my Stripe key',
+      content: 'Contact dev@example.com, key sk_live_abcdefghijklmnopqrstu',
+      author: 'builder',
+      score: 3,
+      created_utc: now - 3600,
+      url: 'https://reddit.com/r/lovable/comments/p1'
+    },
+    comments: [
+      { id: 'c1', body: 'Same key here', author: 'other', score: 1, created_utc: now, permalink: '/r/lovable/comments/p1/_/c1', replies: [] }
+    ]
+  };
+}
+
+test('a rule alerts once per post, on the post before its comments', () => {
+  const watchlist = new Watchlist({ rules: [{ name: 'keys', keywords: ['key'] }] });
+  const alerts = watchlist.check(makePost());
+
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].itemId, 'p1');
+  assert.deepEqual(alerts[0].matched, ['keyword "key"']);
+});
+
+test('every condition of a rule must hold', () => {
+  const watchlist = new Watchlist({
+    rules: [
+      { name: 'popular', keywords: ['stripe'], minScore: 10 },
+      { name: 'comments-only', author: 'other', comments: true },
+      { name: 'no-comments', author: 'other', comments: false }
+    ]
+  });
+  const alerts = watchlist.check(makePost());
+
+  assert.deepEqual(alerts.map(alert => [alert.rule, alert.itemId]), [['comments-only', 'c1']]);
+});
+
+test('rules without conditions or with invalid patterns are skipped', () => {
+  const watchlist = new Watchlist({ rules: [{ name: 'empty' }, { name: 'broken', pattern: '(' }] });
+  assert.equal(watchlist.rules.length, 0);
+});
+
+test('with a redactor, alert excerpts only carry redacted text', () => {
+  const watchlist = new Watchlist({ rules: [{ name: 'stripe', keywords: ['stripe'] }] }, { redactor: new Redactor() });
+  const [alert] = watchlist.check(makePost());
+
+  assert.match(alert.excerpt, /\[REDACTED_EMAIL\]/);
+  assert.match(alert.excerpt, /\[REDACTED_API_KEY\]/);
+  assert.doesNotMatch(alert.excerpt, /dev@example\.com|sk_live_/);
+});